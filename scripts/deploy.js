@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+import { execSync } from 'child_process';
+import { copyFileSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const serverDir = path.join(__dirname, '../server');
+const uiDir = path.join(__dirname, '../ui');
+const firebaseConfigPath = path.join(uiDir, 'src', 'lib', 'firebase-config.json');
+
+const DEPLOY_ENVIRONMENTS = ['staging', 'production'];
+const PREVIEW_PREFIX = 'preview-';
+
+// Pages deployments can take a few seconds to answer everywhere
+const SMOKE_TEST_ATTEMPTS = 6;
+const SMOKE_TEST_DELAY_MS = 5000;
+
+function parseCliArgs() {
+  const args = process.argv.slice(2).filter((arg) => arg !== '--');
+  const envIndex = args.indexOf('--env');
+  return {
+    environment: envIndex !== -1 ? args[envIndex + 1] : undefined,
+    help: args.includes('--help') || args.includes('-h')
+  };
+}
+
+function showHelp() {
+  console.log(`
+🚀 Deploy the API to Cloudflare Workers and the UI to Cloudflare Pages
+
+Usage: pnpm run deploy --env <environment>
+
+Environments:
+  staging            Worker <name>-staging, Pages branch "staging"
+  production         Worker <name>-production, Pages production branch
+  preview-<branch>   Worker <name>-preview-<branch>, Pages branch <branch>
+
+Settings come from server/.env overridden by server/.env.<environment> (.env.preview for
+every preview). The UI is built with ui/src/lib/firebase-config.<environment>.json when it exists.
+With SERVE_UI=true the Worker serves the UI itself and Pages isn't used.
+`);
+}
+
+// server/.env.<name> and ui/src/lib/firebase-config.<name>.json used for an environment
+function configName(environment) {
+  return environment.startsWith(PREVIEW_PREFIX) ? 'preview' : environment;
+}
+
+// Plain KEY=value settings from server/.env overridden by server/.env.<environment>
+function readServerSettings(environment) {
+  const settings = {};
+  for (const file of ['.env', `.env.${configName(environment)}`]) {
+    const envPath = path.join(serverDir, file);
+    if (!existsSync(envPath)) {
+      continue;
+    }
+    for (const [, key, value] of readFileSync(envPath, 'utf-8').matchAll(/^\s*(\w+)\s*=\s*(.*?)\s*$/gm)) {
+      settings[key] = value.replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+  return settings;
+}
+
+function isValidEnvironment(environment) {
+  return DEPLOY_ENVIRONMENTS.includes(environment)
+    || (environment?.startsWith(PREVIEW_PREFIX) && environment.length > PREVIEW_PREFIX.length);
+}
+
+/**
+ * Deploy the Worker with server/scripts/deploy-cloudflare.js, which also runs the /readyz smoke test
+ * @returns {Object} The deployment written by the script: apiUrl, firebaseProjectId and pages
+ */
+function deployApi(environment) {
+  const tempDir = mkdtempSync(path.join(os.tmpdir(), 'deploy-'));
+  const outputPath = path.join(tempDir, 'deployment.json');
+  try {
+    execSync(`pnpm run deploy:cf -- --env ${JSON.stringify(environment)} --output ${JSON.stringify(outputPath)}`, {
+      stdio: 'inherit',
+      cwd: serverDir
+    });
+    return JSON.parse(readFileSync(outputPath, 'utf-8'));
+  } finally {
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the UI against the deployed API (or its own origin when apiUrl is null), with the
+ * environment's Firebase web config swapped in
+ */
+function buildUi(environment, { apiUrl, firebaseProjectId }) {
+  const environmentConfigPath = path.join(uiDir, 'src', 'lib', `firebase-config.${configName(environment)}.json`);
+  const originalConfig = existsSync(firebaseConfigPath) ? readFileSync(firebaseConfigPath, 'utf-8') : null;
+
+  if (existsSync(environmentConfigPath)) {
+    console.log(`🔥 Using ${path.basename(environmentConfigPath)}`);
+    copyFileSync(environmentConfigPath, firebaseConfigPath);
+  }
+
+  try {
+    if (!existsSync(firebaseConfigPath)) {
+      throw new Error(`No Firebase config - create ui/src/lib/${path.basename(environmentConfigPath)}`);
+    }
+
+    // Tokens from another Firebase project would be rejected by the API
+    const { projectId } = JSON.parse(readFileSync(firebaseConfigPath, 'utf-8'));
+    if (projectId !== firebaseProjectId) {
+      throw new Error(
+        `The UI's Firebase project (${projectId}) doesn't match the API's FIREBASE_PROJECT_ID (${firebaseProjectId})`
+      );
+    }
+
+    console.log(`🏗️  Building UI against ${apiUrl ?? 'its own origin'}...`);
+    execSync(apiUrl ? 'pnpm run build' : 'pnpm run build:same-origin', {
+      stdio: 'inherit',
+      cwd: uiDir,
+      env: apiUrl ? { ...process.env, VITE_API_URL: apiUrl } : process.env
+    });
+  } finally {
+    if (originalConfig === null) {
+      rmSync(firebaseConfigPath, { force: true });
+    } else {
+      writeFileSync(firebaseConfigPath, originalConfig);
+    }
+  }
+}
+
+/**
+ * Upload ui/dist to the Pages project and return the URL wrangler reports
+ */
+function deployUi(deployment) {
+  const { project, branch } = deployment.pages;
+  console.log(`📦 Deploying UI to Cloudflare Pages (${project}, branch ${branch})...`);
+
+  // wrangler is a dependency of the server package
+  const output = execSync(
+    `pnpm exec wrangler pages deploy ${JSON.stringify(path.join(uiDir, 'dist'))} --project-name ${project} --branch ${JSON.stringify(branch)} --commit-dirty=true`,
+    { stdio: ['inherit', 'pipe', 'inherit'], cwd: serverDir }
+  ).toString();
+  process.stdout.write(output);
+
+  return output.match(/https:\/\/[\w.-]+\.pages\.dev/g)?.pop();
+}
+
+/**
+ * The UI answers with HTML, and the API accepts requests from its origin
+ */
+async function smokeTest(deployment) {
+  const origin = deployment.serveUi ? deployment.apiUrl : deployment.pages.origin;
+  let problem;
+
+  for (let attempt = 1; attempt <= SMOKE_TEST_ATTEMPTS; attempt++) {
+    let url = origin;
+    try {
+      const page = await fetch(url);
+      url = `${deployment.apiUrl}/api/v1/hello`;
+      const api = await fetch(url, { headers: { Origin: origin } });
+      const allowedOrigin = api.headers.get('access-control-allow-origin');
+
+      if (!page.ok || !page.headers.get('content-type')?.includes('text/html')) {
+        problem = `GET ${origin} answered ${page.status} ${page.headers.get('content-type') ?? ''}`;
+      } else if (!api.ok || (!deployment.serveUi && allowedOrigin !== origin)) {
+        problem = `GET ${url} from ${origin} answered ${api.status} without CORS access`;
+      } else {
+        console.log(`✅ Smoke test passed: ${origin} is up and can call ${deployment.apiUrl}`);
+        return true;
+      }
+    } catch (error) {
+      problem = `GET ${url} failed: ${error.message}`;
+    }
+
+    if (attempt < SMOKE_TEST_ATTEMPTS) {
+      console.log(`⏳ ${problem}, retrying (${attempt}/${SMOKE_TEST_ATTEMPTS})...`);
+      await new Promise((resolve) => setTimeout(resolve, SMOKE_TEST_DELAY_MS));
+    }
+  }
+
+  console.error(`❌ Smoke test failed: ${problem}`);
+  return false;
+}
+
+async function main() {
+  const { environment, help } = parseCliArgs();
+  if (help) {
+    showHelp();
+    return;
+  }
+  if (!isValidEnvironment(environment)) {
+    console.error(`❌ ${environment ? `Unknown environment "${environment}"` : 'Missing --env'} - use ${DEPLOY_ENVIRONMENTS.join(', ')} or ${PREVIEW_PREFIX}<branch>`);
+    process.exit(1);
+  }
+
+  console.log(`🚀 Deploying ${environment}...\n`);
+
+  let deployment;
+  let pagesUrl;
+  const settings = readServerSettings(environment);
+  if (settings.SERVE_UI === 'true') {
+    // Single origin: the UI is uploaded with the Worker as its static assets, so it's built first
+    buildUi(environment, { apiUrl: null, firebaseProjectId: settings.FIREBASE_PROJECT_ID });
+    deployment = deployApi(environment);
+  } else {
+    // The Worker goes first: the UI is built against its URL
+    deployment = deployApi(environment);
+    buildUi(environment, deployment);
+    pagesUrl = deployUi(deployment);
+  }
+
+  if (!await smokeTest(deployment)) {
+    process.exit(1);
+  }
+
+  const frontendUrl = deployment.serveUi ? deployment.apiUrl : deployment.pages.origin;
+  console.log(`\n🎉 Deployed ${environment}:`);
+  console.log(`   Frontend:  \x1b[32m${frontendUrl}\x1b[0m${pagesUrl && pagesUrl !== frontendUrl ? ` (this deployment: ${pagesUrl})` : ''}`);
+  console.log(`   API:       ${deployment.apiUrl}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ Deployment failed:`, error.message || error);
+  process.exit(1);
+});
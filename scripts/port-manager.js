@@ -184,6 +184,29 @@ export function updateServerEnvWithPorts(availablePorts, useWrangler) {
       }
       console.log(`📝 Updated Firebase Auth emulator port to ${availablePorts.firebaseAuth}`);
     }
+
+    // Let the Vite dev server call the API (CORS allowlist)
+    const corsDevOriginLine = `CORS_DEV_ORIGIN=http://localhost:${availablePorts.frontend}`;
+    const originalCorsLine = updatedContent.match(/^CORS_DEV_ORIGIN=.*$/m)?.[0];
+    if (originalCorsLine) {
+      if (originalCorsLine !== corsDevOriginLine) {
+        updatedContent = updatedContent.replace(originalCorsLine, corsDevOriginLine);
+        hasChanges = true;
+        changesTracked.modifications.push({
+          type: 'replace',
+          original: originalCorsLine,
+          modified: corsDevOriginLine
+        });
+      }
+    } else {
+      const corsSection = `\n# Vite dev server origin for CORS (dynamically set)\n${corsDevOriginLine}\n`;
+      updatedContent += corsSection;
+      hasChanges = true;
+      changesTracked.modifications.push({
+        type: 'append',
+        added: corsSection
+      });
+    }
     
     // Only write if content actually changed
     if (hasChanges && updatedContent !== envData.content) {
@@ -458,6 +481,41 @@ export function updateWranglerConfigWithPort(availablePorts, useFirebaseEmulator
       }
       console.log(`📝 Updated wrangler.toml Firebase Auth emulator to localhost:${availablePorts.firebaseAuth}`);
     }
+
+    // Deployed Workers run with NODE_ENV = "production", which refuses emulator tokens
+    const nodeEnvLine = 'NODE_ENV = "development"';
+    const nodeEnvMatch = updatedContent.match(/^NODE_ENV\s*=.*/m);
+    if (nodeEnvMatch && nodeEnvMatch[0] !== nodeEnvLine) {
+      updatedContent = updatedContent.replace(nodeEnvMatch[0], nodeEnvLine);
+      hasChanges = true;
+      changesTracked.modifications.push({
+        type: 'replace',
+        original: nodeEnvMatch[0],
+        modified: nodeEnvLine
+      });
+    }
+
+    // Let the Vite dev server call the API (CORS allowlist)
+    const corsDevOriginLine = `CORS_DEV_ORIGIN = "http://localhost:${availablePorts.frontend}"`;
+    const corsDevOriginMatch = updatedContent.match(/^CORS_DEV_ORIGIN\s*=.*/m);
+    if (corsDevOriginMatch) {
+      if (corsDevOriginMatch[0] !== corsDevOriginLine) {
+        updatedContent = updatedContent.replace(corsDevOriginMatch[0], corsDevOriginLine);
+        hasChanges = true;
+        changesTracked.modifications.push({
+          type: 'replace',
+          original: corsDevOriginMatch[0],
+          modified: corsDevOriginLine
+        });
+      }
+    } else if (updatedContent.includes('[vars]')) {
+      updatedContent = updatedContent.replace(/\[vars\]\r?\n/, (varsHeader) => `${varsHeader}${corsDevOriginLine}\n`);
+      hasChanges = true;
+      changesTracked.modifications.push({
+        type: 'insert_after_vars',
+        added: `${corsDevOriginLine}\n`
+      });
+    }
     
     // Only write if content actually changed
     if (hasChanges && updatedContent !== configData.content) {
@@ -523,10 +581,9 @@ export function restoreWranglerConfig(configState) {
           hasChanges = true;
         }
       } else if (change.type === 'insert_after_vars') {
-        // Remove the Firebase emulator line we added after [vars]
-        const firebaseLineRegex = /FIREBASE_AUTH_EMULATOR_HOST\s*=\s*"localhost:\d+"\n/;
-        if (firebaseLineRegex.test(currentContent)) {
-          currentContent = currentContent.replace(firebaseLineRegex, '');
+        // Remove the line we added to [vars] (Firebase emulator host or CORS dev origin)
+        if (currentContent.includes(change.added)) {
+          currentContent = currentContent.replace(change.added, '');
           hasChanges = true;
         }
       }
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync, readFileSync, writeFileSync } from 'fs';
@@ -116,32 +117,18 @@ export async function setupEmbeddedPostgres() {
     writeFileSync(envPath, updatedEnv);
     console.log(`✅ Updated .env with PostgreSQL on port ${postgresPort}`);
 
-    // Test connection and create schema
+    // Test connection before applying migrations
     client = postgres(connectionString);
-    
-    const schemaExists = await client`
-      SELECT schema_name 
-      FROM information_schema.schemata 
-      WHERE schema_name = 'app'
-    `;
+    await client`SELECT 1`;
 
-    if (schemaExists.length === 0) {
-      console.log('📦 Creating app schema...');
-      await client`CREATE SCHEMA app`;
-      
-      const migrationPath = join(projectRoot, 'server', 'drizzle', '0000_initial.sql');
-      if (existsSync(migrationPath)) {
-        const migrationSQL = readFileSync(migrationPath, 'utf-8');
-        const schemaAwareSql = migrationSQL.replace(
-          'CREATE TABLE IF NOT EXISTS "users"',
-          'CREATE TABLE IF NOT EXISTS app.users'
-        );
-        await client.unsafe(schemaAwareSql);
-        console.log('✅ Database schema created');
-      }
-    } else {
-      console.log('✅ Database schema already exists');
-    }
+    // Apply versioned migrations (creates the app schema and records the ledger)
+    console.log('📦 Applying database migrations...');
+    execSync('npx tsx scripts/migrate.ts up', {
+      cwd: join(projectRoot, 'server'),
+      env: { ...process.env, DATABASE_URL: connectionString },
+      stdio: 'inherit'
+    });
+    console.log('✅ Database schema created');
 
     return connectionString;
 
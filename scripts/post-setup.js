@@ -312,8 +312,8 @@ async function setupProductionDatabaseSchema(config) {
       stdio: 'inherit'
     });
     
-    // Push schema with Drizzle
-    execPnpm('npx dotenv-cli -e .env -- pnpm db:push', {
+    // Apply versioned migrations from server/drizzle
+    execPnpm('npx dotenv-cli -e .env -- pnpm db:migrate', {
       cwd: join(projectRoot, 'server'),
       stdio: 'inherit'
     });
@@ -322,7 +322,7 @@ async function setupProductionDatabaseSchema(config) {
   } catch (error) {
     console.error('❌ Failed to setup database schema');
     console.log('💡 You can complete this manually:');
-    console.log('   cd server && npx dotenv-cli -e .env -- pnpm db:push');
+    console.log('   cd server && npx dotenv-cli -e .env -- pnpm db:migrate');
     throw error;
   }
 }
@@ -391,7 +391,7 @@ async function runPostSetup() {
         await setupProductionDatabaseSchema(config);
       } else {
         console.log('⚠️ Skipping schema setup due to connectivity issues');
-        console.log('💡 Run manually when database is ready: cd server && pnpm db:push');
+        console.log('💡 Run manually when database is ready: cd server && pnpm db:migrate');
       }
     }
 
@@ -429,7 +429,7 @@ async function runPostSetup() {
     console.log('');
     console.log('💡 You can complete setup manually:');
     console.log('   • For local database: pnpm setup:local');
-    console.log('   • For production database: cd server && pnpm db:push');
+    console.log('   • For production database: cd server && pnpm db:migrate');
     process.exit(1);
   }
 }
@@ -211,10 +211,8 @@ async function startServices() {
       process.exit(1);
     }
 
-    // Update .env files with dynamic ports (only for local services)
-    if (config.useLocalDatabase || config.useLocalFirebase) {
-      envState = updateServerEnvWithPorts(availablePorts, cliArgs.useWrangler);
-    }
+    // Update .env files with dynamic ports (local services and the CORS dev origin)
+    envState = updateServerEnvWithPorts(availablePorts, cliArgs.useWrangler);
 
     // Update wrangler.toml with dynamic port (only for wrangler mode)
     if (cliArgs.useWrangler) {
@@ -246,7 +244,9 @@ async function startServices() {
       // Port is set via wrangler.toml config update, not CLI argument
       commands.push(`"cd server && wrangler dev --local-protocol http"`);
     } else {
-      commands.push(`"cd server && pnpm run dev -- --port ${availablePorts.backend}"`);
+      // Bring the database up to date first - the database server may still be starting, and a
+      // failed migration stops the server instead of leaving it to fail on every request
+      commands.push(`"cd server && pnpm run db:migrate -- --wait 60 && pnpm run dev -- --port ${availablePorts.backend}"`);
     }
     
     // Add frontend server
@@ -1,7 +1,7 @@
 import type { Config } from 'drizzle-kit';
-import { getDatabaseUrl } from './src/lib/env';
+import { getConfig } from './src/lib/config';
 
-const databaseUrl = getDatabaseUrl();
+const databaseUrl = getConfig().database.url;
 
 export default {
   schema: './src/schema/*',
@@ -1,8 +1,10 @@
-CREATE TABLE IF NOT EXISTS "users" (
+CREATE SCHEMA IF NOT EXISTS "app";
+
+CREATE TABLE IF NOT EXISTS "app"."users" (
   "id" text PRIMARY KEY,
   "email" text UNIQUE,
   "display_name" text,
   "photo_url" text,
   "created_at" timestamp NOT NULL DEFAULT now(),
   "updated_at" timestamp NOT NULL DEFAULT now()
-); 
\ No newline at end of file
+);
@@ -0,0 +1,5 @@
+ALTER TABLE "app"."users"
+  DROP COLUMN IF EXISTS "display_name_source",
+  DROP COLUMN IF EXISTS "photo_url_source",
+  DROP COLUMN IF EXISTS "email_verified",
+  DROP COLUMN IF EXISTS "sign_in_provider";
@@ -0,0 +1,13 @@
+ALTER TABLE "app"."users"
+  ADD COLUMN IF NOT EXISTS "display_name_source" text NOT NULL DEFAULT 'firebase',
+  ADD COLUMN IF NOT EXISTS "photo_url_source" text NOT NULL DEFAULT 'firebase',
+  ADD COLUMN IF NOT EXISTS "email_verified" boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS "sign_in_provider" text;
+
+ALTER TABLE "app"."users"
+  ADD CONSTRAINT "users_display_name_source_check" CHECK ("display_name_source" IN ('firebase', 'user')),
+  ADD CONSTRAINT "users_photo_url_source_check" CHECK ("photo_url_source" IN ('firebase', 'user'));
+
+-- Until now sign-ins never wrote these fields, so existing values were set in-app
+UPDATE "app"."users" SET "display_name_source" = 'user' WHERE "display_name" IS NOT NULL;
+UPDATE "app"."users" SET "photo_url_source" = 'user' WHERE "photo_url" IS NOT NULL;
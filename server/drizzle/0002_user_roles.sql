@@ -0,0 +1,7 @@
+CREATE TABLE IF NOT EXISTS "app"."user_roles" (
+  "user_id" text NOT NULL REFERENCES "app"."users"("id") ON DELETE CASCADE,
+  "role" text NOT NULL,
+  "granted_by" text,
+  "granted_at" timestamp NOT NULL DEFAULT now(),
+  PRIMARY KEY ("user_id", "role")
+);
@@ -0,0 +1,6 @@
+CREATE TABLE IF NOT EXISTS "app"."rate_limits" (
+  "key" text NOT NULL,
+  "window_start" bigint NOT NULL,
+  "count" integer NOT NULL DEFAULT 0,
+  PRIMARY KEY ("key", "window_start")
+);
@@ -0,0 +1,4 @@
+ALTER TABLE "app"."users" ADD COLUMN IF NOT EXISTS "last_seen_at" timestamp;
+
+-- Until now every authenticated request bumped updated_at, so it is the last time each user was seen
+UPDATE "app"."users" SET "last_seen_at" = "updated_at";
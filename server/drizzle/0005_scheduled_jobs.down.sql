@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS "app"."job_locks";
+DROP TABLE IF EXISTS "app"."job_runs";
@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS "app"."job_runs" (
+  "id" serial PRIMARY KEY,
+  "job" text NOT NULL,
+  "trigger" text NOT NULL,
+  "scheduled_for" timestamp,
+  "status" text NOT NULL DEFAULT 'running',
+  "triggered_by" text,
+  "started_at" timestamp NOT NULL DEFAULT now(),
+  "finished_at" timestamp,
+  "duration_ms" integer,
+  "result" jsonb,
+  "error" text
+);
+
+-- NULLs never conflict, so manual runs (scheduled_for IS NULL) are not limited by this
+CREATE UNIQUE INDEX IF NOT EXISTS "job_runs_job_scheduled_for_key" ON "app"."job_runs" ("job", "scheduled_for");
+CREATE INDEX IF NOT EXISTS "job_runs_job_started_at_idx" ON "app"."job_runs" ("job", "started_at");
+
+CREATE TABLE IF NOT EXISTS "app"."job_locks" (
+  "job" text PRIMARY KEY,
+  "run_id" integer NOT NULL,
+  "locked_until" timestamp NOT NULL
+);
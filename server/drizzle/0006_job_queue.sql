@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS "app"."queued_jobs" (
+  "id" serial PRIMARY KEY,
+  "name" text NOT NULL,
+  "payload" jsonb NOT NULL,
+  "status" text NOT NULL DEFAULT 'pending',
+  "idempotency_key" text,
+  "attempts" integer NOT NULL DEFAULT 0,
+  "max_attempts" integer NOT NULL,
+  "run_at" timestamp NOT NULL DEFAULT now(),
+  "locked_until" timestamp,
+  "last_error" text,
+  "created_at" timestamp NOT NULL DEFAULT now(),
+  "finished_at" timestamp
+);
+
+-- NULLs never conflict, so only jobs enqueued with a key are deduplicated
+CREATE UNIQUE INDEX IF NOT EXISTS "queued_jobs_name_idempotency_key_key" ON "app"."queued_jobs" ("name", "idempotency_key");
+CREATE INDEX IF NOT EXISTS "queued_jobs_status_run_at_idx" ON "app"."queued_jobs" ("status", "run_at");
@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS "app"."audit_events" (
+  "id" serial PRIMARY KEY,
+  "occurred_at" timestamp NOT NULL DEFAULT now(),
+  "action" text NOT NULL,
+  "actor_id" text,
+  "target_type" text,
+  "target_id" text,
+  "ip" text,
+  "user_agent" text,
+  "request_id" text,
+  "metadata" jsonb
+);
+
+-- Pages are newest first by id, so each filter's index ends in id
+CREATE INDEX IF NOT EXISTS "audit_events_occurred_at_idx" ON "app"."audit_events" ("occurred_at");
+CREATE INDEX IF NOT EXISTS "audit_events_actor_id_idx" ON "app"."audit_events" ("actor_id", "id");
+CREATE INDEX IF NOT EXISTS "audit_events_target_idx" ON "app"."audit_events" ("target_type", "target_id", "id");
+CREATE INDEX IF NOT EXISTS "audit_events_action_idx" ON "app"."audit_events" ("action", "id");
@@ -0,0 +1 @@
+ALTER TABLE "app"."users" ADD COLUMN IF NOT EXISTS "last_sign_in_at" timestamp;
@@ -1,8 +1,45 @@
 #!/usr/bin/env node
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
+const dotenv = require('dotenv');
+// Same schema the server validates against at boot (run through tsx, see package.json)
+const { ConfigError, isSecretName, parseConfig, redactConfig } = require('../src/lib/config');
+const { SCHEDULED_JOBS } = require('../src/lib/scheduler');
+
+// Match the [env.<name>] sections in platforms/cloudflare/wrangler.toml.template
+const DEPLOY_ENVIRONMENTS = ['staging', 'production'];
+
+// preview-<branch> deployments share [env.preview] and .env.preview, each under its own Worker name
+const PREVIEW_PREFIX = 'preview-';
+const TEMPLATE_SECTIONS = [...DEPLOY_ENVIRONMENTS, 'preview'];
+
+// .env keys for this script or local development (`pnpm dev` sets its own), never deployed
+const LOCAL_ONLY_KEYS = [
+  'WORKER_NAME', 'PAGES_PROJECT_NAME', 'PAGES_PRODUCTION_BRANCH', 'API_URL',
+  'PORT', 'CORS_DEV_ORIGIN', 'FIREBASE_AUTH_EMULATOR_HOST', 'FIREBASE_AUTH_EMULATOR',
+];
+// Set by wrangler.toml.template for every Worker, whatever .env says
+const TEMPLATE_VAR_KEYS = ['RUNTIME', 'NODE_ENV'];
+// Worker vars are environment variable names, written to wrangler.toml as bare keys
+const VAR_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Cloudflare's limits: Worker names up to 63 characters, Pages branch aliases cut to 28
+const MAX_WORKER_NAME_LENGTH = 63;
+const MAX_PAGES_ALIAS_LENGTH = 28;
+
+// Built UI uploaded as the Worker's static assets when SERVE_UI=true
+const UI_DIST_DIR = path.join(process.cwd(), '..', 'ui', 'dist');
+
+// A new deployment can take a few seconds to answer everywhere
+const SMOKE_TEST_ATTEMPTS = 6;
+const SMOKE_TEST_DELAY_MS = 5000;
+
+// Hashes of the secret values last pushed, per environment - wrangler can list secret names but not values
+const SECRET_FINGERPRINTS_DIR = path.join(process.cwd(), '.wrangler', 'deploy-secrets');
 
 // ANSI color codes for console output
 const colors = {
@@ -51,7 +88,83 @@ async function checkWranglerCli() {
   }
 }
 
-async function parseEnvFile() {
+function parseCliArgs() {
+  const args = process.argv.slice(2).filter((arg) => arg !== '--');
+  const envIndex = args.indexOf('--env');
+  const outputIndex = args.indexOf('--output');
+
+  return {
+    environment: envIndex !== -1 ? args[envIndex + 1] : undefined,
+    checkSecrets: args.includes('--check-secrets'),
+    // Where to write the deployment's URLs as JSON (used by the root `pnpm run deploy`)
+    outputPath: outputIndex !== -1 ? args[outputIndex + 1] : undefined,
+  };
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Template section and .env.<section> file for an --env value; null if it isn't one
+function templateSection(environment) {
+  if (!environment) {
+    return undefined;
+  }
+  if (DEPLOY_ENVIRONMENTS.includes(environment)) {
+    return environment;
+  }
+  if (environment.startsWith(PREVIEW_PREFIX) && slugify(environment.slice(PREVIEW_PREFIX.length))) {
+    return 'preview';
+  }
+  return null;
+}
+
+/**
+ * What an --env value deploys: the Worker, and the Cloudflare Pages branch serving its frontend
+ * Staging deploys to the `staging` Pages branch, production and the top-level Worker to
+ * PAGES_PRODUCTION_BRANCH, and preview-<branch> to <branch>.
+ */
+function resolveTarget(environment, envVars) {
+  const section = templateSection(environment);
+  const project = envVars.PAGES_PROJECT_NAME || envVars.WORKER_NAME;
+  const productionBranch = envVars.PAGES_PRODUCTION_BRANCH || 'main';
+
+  let name = environment;
+  let workerName = section ? `${envVars.WORKER_NAME}-${section}` : envVars.WORKER_NAME;
+  let branch = section === 'staging' ? 'staging' : productionBranch;
+  if (section === 'preview') {
+    branch = environment.slice(PREVIEW_PREFIX.length);
+    name = `${PREVIEW_PREFIX}${slugify(branch)}`;
+    workerName = `${envVars.WORKER_NAME}-${name}`.slice(0, MAX_WORKER_NAME_LENGTH).replace(/-+$/, '');
+  }
+
+  // Pages serves the production branch at <project>.pages.dev and others at <alias>.<project>.pages.dev
+  const alias = slugify(branch).slice(0, MAX_PAGES_ALIAS_LENGTH).replace(/-+$/, '');
+  const origin = branch === productionBranch ? `https://${project}.pages.dev` : `https://${alias}.${project}.pages.dev`;
+
+  return { name, section, workerName, pages: { project, branch, origin } };
+}
+
+// --env (and for previews --name) flags for wrangler commands; empty for the top-level Worker
+function wranglerEnvFlag(target) {
+  if (!target.section) {
+    return '';
+  }
+  return target.section === 'preview'
+    ? ` --env preview --name ${target.workerName}`
+    : ` --env ${target.section}`;
+}
+
+// Let the environment's Pages frontend call the API, next to any origins from .env
+function withPagesOrigin(envVars, target) {
+  const origins = (envVars.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+  if (!origins.includes(target.pages.origin)) {
+    origins.push(target.pages.origin);
+  }
+  return { ...envVars, CORS_ORIGINS: origins.join(',') };
+}
+
+async function parseEnvFile(environment) {
   const envPath = path.join(process.cwd(), '.env');
   
   if (!await fs.pathExists(envPath)) {
@@ -61,21 +174,14 @@ async function parseEnvFile() {
   }
 
   try {
-    const envContent = await fs.readFile(envPath, 'utf-8');
-    const envVars = {};
-    
-    const lines = envContent.split('\n');
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine && !trimmedLine.startsWith('#')) {
-        const [key, ...valueParts] = trimmedLine.split('=');
-        if (key && valueParts.length > 0) {
-          const value = valueParts.join('=').replace(/^["']|["']$/g, '');
-          envVars[key] = value;
-        }
-      }
+    const envVars = dotenv.parse(await fs.readFile(envPath, 'utf-8'));
+
+    // .env.staging / .env.production / .env.preview override .env for that environment
+    const overridePath = environment && path.join(process.cwd(), `.env.${environment}`);
+    if (overridePath && await fs.pathExists(overridePath)) {
+      Object.assign(envVars, dotenv.parse(await fs.readFile(overridePath, 'utf-8')));
     }
-    
+
     return envVars;
   } catch (error) {
     logError(`Failed to parse .env file: ${error.message}`);
@@ -83,21 +189,32 @@ async function parseEnvFile() {
   }
 }
 
-async function validateDatabase(envVars) {
-  const databaseUrl = envVars.DATABASE_URL;
-  
-  if (!databaseUrl) {
+function validateConfig(envVars) {
+  try {
+    const config = parseConfig(envVars);
+    logSuccess('Configuration is valid');
+    logInfo(`Config: ${JSON.stringify(redactConfig(config))}`);
+    return config;
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      logError('Invalid configuration in .env:');
+      for (const problem of error.problems) {
+        logError(`  ${problem}`);
+      }
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function validateDatabase(config) {
+  if (!config.database.url) {
     logError('DATABASE_URL not found in .env file');
     return false;
   }
 
-  // Check if using embedded PostgreSQL (local development database)
-  const usingLocalDb = databaseUrl.includes('localhost:5433') || 
-                      databaseUrl.includes('127.0.0.1:5433') || 
-                      databaseUrl.includes('file:') || 
-                      databaseUrl === 'memory://';
-
-  if (usingLocalDb) {
+  // A database on this machine (e.g. the embedded development server) can't be reached from Cloudflare
+  if (config.database.isLocal) {
     logError('Cannot deploy to Cloudflare with local embedded PostgreSQL database');
     logWarning('Embedded PostgreSQL is designed for local development only.');
     logInfo('For production deployment, you need a cloud PostgreSQL database.');
@@ -111,18 +228,51 @@ async function validateDatabase(envVars) {
     return false;
   }
 
-  // Validate PostgreSQL URL format
-  if (!databaseUrl.startsWith('postgres')) {
-    logError(`Invalid PostgreSQL URL format: ${databaseUrl}`);
-    logInfo('DATABASE_URL should be a valid PostgreSQL connection string starting with "postgres://" or "postgresql://"');
-    return false;
-  }
-
   logSuccess('Database configuration is valid');
   return true;
 }
 
-async function generatePlatformConfig(envVars) {
+// [assets] for the deployed Worker, serving ui/dist through the ASSETS binding (src/middleware/ui.ts)
+function assetsConfig(target) {
+  const table = target.section ? `env.${target.section}.assets` : 'assets';
+  return [
+    '',
+    '# Generated because SERVE_UI=true - every request goes to the Worker, which serves the UI',
+    `[${table}]`,
+    `directory = ${JSON.stringify(path.relative(process.cwd(), UI_DIST_DIR))}`,
+    'binding = "ASSETS"',
+    'run_worker_first = true',
+    '',
+  ].join('\n');
+}
+
+// One Cron Trigger per distinct schedule in SCHEDULED_JOBS, as a TOML array
+function scheduledCrons() {
+  const schedules = [...new Set(Object.values(SCHEDULED_JOBS).map((job) => job.schedule))];
+  return `[${schedules.map((schedule) => JSON.stringify(schedule)).join(', ')}]`;
+}
+
+/**
+ * [vars] lines for every non-secret setting in `envVars`
+ * Secrets are pushed with `wrangler secret bulk` instead. Throws for a key that can't be a var
+ * rather than deploying without it.
+ */
+function workerVars(envVars) {
+  const lines = [];
+  for (const [key, value] of Object.entries(envVars ?? {})) {
+    if (isSecretName(key) || LOCAL_ONLY_KEYS.includes(key) || TEMPLATE_VAR_KEYS.includes(key)) {
+      continue;
+    }
+    if (!VAR_NAME_PATTERN.test(key)) {
+      throw new Error(`${key} in .env can't be deployed as a Worker var - use letters, digits and _ only`);
+    }
+    // A JSON string is a valid TOML basic string
+    lines.push(`${key} = ${JSON.stringify(value)}`);
+  }
+  return lines.join('\n');
+}
+
+async function generatePlatformConfig(envVars, environmentVars, assets) {
   try {
     // Generate wrangler.toml from template
     const wranglerTemplatePath = path.join(process.cwd(), 'platforms', 'cloudflare', 'wrangler.toml.template');
@@ -130,11 +280,24 @@ async function generatePlatformConfig(envVars) {
     
     if (await fs.pathExists(wranglerTemplatePath)) {
       let content = await fs.readFile(wranglerTemplatePath, 'utf-8');
-      
-      // Replace placeholders
-      for (const [key, value] of Object.entries(envVars)) {
-        const placeholder = `{{${key}}}`;
-        content = content.replace(new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value);
+
+      content = content.replace('{{SCHEDULED_CRONS}}', scheduledCrons());
+
+      // {{KEY}} comes from .env, {{staging:KEY}} from .env + .env.staging, and {{WORKER_VARS}} /
+      // {{staging:WORKER_VARS}} are all of their non-secret settings; secrets are never written here
+      content = content.replace(/{{(?:(\w+):)?(\w+)}}/g, (placeholder, environment, key) => {
+        const values = environment ? environmentVars[environment] : envVars;
+        if (key === 'WORKER_VARS') {
+          return workerVars(values);
+        }
+        if (isSecretName(key)) {
+          throw new Error(`${placeholder} in wrangler.toml.template is a secret - remove it, secrets are pushed with wrangler secret bulk`);
+        }
+        return values?.[key] ?? '';
+      });
+
+      if (assets) {
+        content += assets;
       }
       
       await fs.writeFile(wranglerOutputPath, content, 'utf-8');
@@ -143,19 +306,22 @@ async function generatePlatformConfig(envVars) {
       logWarning('wrangler.toml.template not found, skipping');
     }
 
-    // Generate .dev.vars with ALL environment variables from .env
+    // Generate .dev.vars with ALL environment variables from .env - secrets included, since
+    // `wrangler dev` only gets secrets from this file
     const devVarsOutputPath = path.join(process.cwd(), '.dev.vars');
     
-    // Create .dev.vars content with all environment variables
     let devVarsContent = '# Cloudflare Workers development environment variables\n';
-    devVarsContent += '# Auto-generated from .env during deployment\n\n';
+    devVarsContent += '# Auto-generated from .env during deployment\n';
+    devVarsContent += '# Holds secrets (DATABASE_URL, API keys) - keep it out of version control (it is in .gitignore)\n\n';
     
     // Add all environment variables from .env
     for (const [key, value] of Object.entries(envVars)) {
       devVarsContent += `${key}=${value}\n`;
     }
     
-    await fs.writeFile(devVarsOutputPath, devVarsContent, 'utf-8');
+    // Readable by the owner only, like the .env it is copied from should be
+    await fs.writeFile(devVarsOutputPath, devVarsContent, { encoding: 'utf-8', mode: 0o600 });
+    await fs.chmod(devVarsOutputPath, 0o600);
     logSuccess(`Generated .dev.vars with ${Object.keys(envVars).length} environment variables`);
 
   } catch (error) {
@@ -164,34 +330,166 @@ async function generatePlatformConfig(envVars) {
   }
 }
 
-async function deployToCloudflare() {
+function getSecrets(envVars) {
+  return Object.fromEntries(Object.entries(envVars).filter(([key, value]) => isSecretName(key) && value));
+}
+
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function fingerprintsPath(target) {
+  return path.join(SECRET_FINGERPRINTS_DIR, `${target.name || 'default'}.json`);
+}
+
+// Names of the secrets on the deployed Worker, or null if it can't be listed (e.g. first deployment)
+function listDeployedSecrets(target) {
+  try {
+    const output = execSync(`wrangler secret list${wranglerEnvFlag(target)}`, {
+      stdio: 'pipe',
+      cwd: process.cwd(),
+    });
+    return JSON.parse(output.toString()).map((secret) => secret.name);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare .env secrets with the deployed ones
+ * missing: not on the Worker; changed: value differs from the last push; extra: only on the Worker
+ */
+async function detectSecretDrift(secrets, target) {
+  const deployed = listDeployedSecrets(target);
+  const pushed = await fs.readJson(fingerprintsPath(target)).catch(() => ({}));
+  const names = Object.keys(secrets);
+
+  return {
+    workerExists: deployed !== null,
+    missing: names.filter((name) => !(deployed ?? []).includes(name)),
+    changed: names.filter((name) => (deployed ?? []).includes(name) && pushed[name] !== fingerprint(secrets[name])),
+    extra: (deployed ?? []).filter((name) => !names.includes(name)),
+  };
+}
+
+function reportSecretDrift(drift, target) {
+  const inSync = drift.missing.length === 0 && drift.changed.length === 0 && drift.extra.length === 0;
+  if (inSync) {
+    logSuccess('Deployed secrets match .env');
+    return;
+  }
+  for (const name of drift.missing) {
+    logWarning(`Secret ${name} is in .env but not deployed`);
+  }
+  for (const name of drift.changed) {
+    logWarning(`Secret ${name} changed in .env since it was last pushed`);
+  }
+  for (const name of drift.extra) {
+    logWarning(`Secret ${name} is deployed but not in .env (remove it with: wrangler secret delete ${name}${wranglerEnvFlag(target)})`);
+  }
+}
+
+/**
+ * Push secrets with `wrangler secret bulk`, through a temporary file only this user can read
+ */
+async function pushSecrets(secrets, target) {
+  const names = Object.keys(secrets);
+  if (names.length === 0) {
+    return;
+  }
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deploy-secrets-'));
+  const secretsFile = path.join(tempDir, 'secrets.json');
+  try {
+    await fs.writeFile(secretsFile, JSON.stringify(secrets), { mode: 0o600 });
+    execSync(`wrangler secret bulk ${JSON.stringify(secretsFile)}${wranglerEnvFlag(target)}`, {
+      stdio: 'inherit',
+      cwd: process.cwd(),
+    });
+  } finally {
+    await fs.remove(tempDir);
+  }
+
+  const pushed = await fs.readJson(fingerprintsPath(target)).catch(() => ({}));
+  for (const name of names) {
+    pushed[name] = fingerprint(secrets[name]);
+  }
+  await fs.outputJson(fingerprintsPath(target), pushed, { spaces: 2 });
+  logSuccess(`Pushed ${names.length} secret(s): ${names.join(', ')}`);
+}
+
+/**
+ * Deploy the Worker and return its URL
+ * API_URL (e.g. a custom domain) wins over the workers.dev URL printed by wrangler.
+ */
+async function deployToCloudflare(target, envVars) {
   try {
     // Check if wrangler.toml was generated
     const wranglerPath = path.join(process.cwd(), 'wrangler.toml');
     if (!await fs.pathExists(wranglerPath)) {
       logError('wrangler.toml not found. Platform configuration may have failed.');
-      return false;
+      return null;
     }
 
-    logInfo('Deploying to Cloudflare Workers...');
+    logInfo(`Deploying ${target.workerName} to Cloudflare Workers${target.name ? ` (${target.name})` : ''}...`);
     
-    // Run wrangler deploy
-    execSync('wrangler deploy', { 
-      stdio: 'inherit',
+    // Run wrangler deploy, keeping its output to find the Worker's URL
+    const output = execSync(`wrangler deploy${wranglerEnvFlag(target)}`, {
+      stdio: ['inherit', 'pipe', 'inherit'],
       cwd: process.cwd()
-    });
+    }).toString();
+    process.stdout.write(output);
     
     logSuccess('Successfully deployed to Cloudflare Workers!');
-    return true;
+    return (envVars.API_URL || output.match(/https:\/\/[\w.-]+\.workers\.dev/)?.[0] || '').replace(/\/+$/, '');
     
   } catch (error) {
     logError(`Deployment failed: ${error.message}`);
-    return false;
+    return null;
   }
 }
 
+/**
+ * Post-deploy smoke test: GET /readyz until it passes, which needs the database, the
+ * Firebase signing keys and a valid configuration
+ */
+async function smokeTest(url) {
+  let problem;
+  for (let attempt = 1; attempt <= SMOKE_TEST_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(`${url}/readyz`);
+      const health = await response.json().catch(() => null);
+      if (response.ok) {
+        logSuccess(`Smoke test passed: GET ${url}/readyz answered ${response.status} (${health?.status})`);
+        return true;
+      }
+      // Only check names are public - the reasons are in the Worker's logs (`wrangler tail`)
+      const failing = Object.entries(health?.checks ?? {})
+        .filter(([, results]) => results.some((result) => result.status === 'fail'))
+        .map(([name]) => name);
+      problem = `answered ${response.status}${failing.length > 0 ? ` (failing: ${failing.join(', ')}, see wrangler tail)` : ''}`;
+    } catch (error) {
+      problem = `failed: ${error.message}`;
+    }
+
+    if (attempt < SMOKE_TEST_ATTEMPTS) {
+      logInfo(`GET ${url}/readyz ${problem}, retrying (${attempt}/${SMOKE_TEST_ATTEMPTS})...`);
+      await new Promise((resolve) => setTimeout(resolve, SMOKE_TEST_DELAY_MS));
+    }
+  }
+
+  logError(`Smoke test failed: GET ${url}/readyz ${problem}`);
+  return false;
+}
+
 async function main() {
-  log('🚀 Starting Cloudflare Workers deployment...', 'bold');
+  const { environment, checkSecrets, outputPath } = parseCliArgs();
+  if (templateSection(environment) === null) {
+    logError(`Unknown environment "${environment}" - use one of ${DEPLOY_ENVIRONMENTS.join(', ')} or ${PREVIEW_PREFIX}<branch>`);
+    process.exit(1);
+  }
+
+  log(`🚀 Starting Cloudflare Workers deployment${environment ? ` to ${environment}` : ''}...`, 'bold');
   
   try {
     // Step 1: Check prerequisites
@@ -203,27 +501,94 @@ async function main() {
 
     // Step 2: Parse environment variables
     logInfo('Parsing environment variables...');
-    const envVars = await parseEnvFile();
-    if (!envVars) {
+    const fileVars = await parseEnvFile(templateSection(environment));
+    if (!fileVars) {
+      process.exit(1);
+    }
+    const target = resolveTarget(environment, fileVars);
+    // A UI served by the Worker itself is same-origin; otherwise it's on Cloudflare Pages
+    const serveUi = fileVars.SERVE_UI === 'true';
+    const envVars = serveUi ? fileVars : withPagesOrigin(fileVars, target);
+
+    // Step 3: Validate configuration
+    logInfo('Validating configuration...');
+    const config = validateConfig(envVars);
+    if (!config) {
       process.exit(1);
     }
 
-    // Step 3: Validate database configuration
     logInfo('Validating database configuration...');
-    const dbValid = await validateDatabase(envVars);
+    const dbValid = await validateDatabase(config);
     if (!dbValid) {
       process.exit(1);
     }
 
+    if (serveUi && !await fs.pathExists(path.join(UI_DIST_DIR, 'index.html'))) {
+      logError('SERVE_UI=true but ui/dist has no build - run: pnpm --filter ui build:same-origin');
+      process.exit(1);
+    }
+
     // Step 4: Generate platform configuration
     logInfo('Preparing platform configuration...');
-    await generatePlatformConfig(envVars);
+    const environmentVars = {};
+    for (const section of TEMPLATE_SECTIONS) {
+      environmentVars[section] = section === target.section ? envVars : await parseEnvFile(section);
+    }
+    await generatePlatformConfig(
+      target.section ? await parseEnvFile() : envVars,
+      environmentVars,
+      serveUi ? assetsConfig(target) : null
+    );
+
+    // Step 5: Compare secrets with the deployed Worker
+    logInfo('Checking deployed secrets...');
+    const secrets = getSecrets(envVars);
+    const drift = await detectSecretDrift(secrets, target);
+    reportSecretDrift(drift, target);
+
+    if (checkSecrets) {
+      const hasDrift = drift.missing.length + drift.changed.length + drift.extra.length > 0;
+      process.exit(hasDrift ? 1 : 0);
+    }
+
+    // Step 6: Push changed secrets, then deploy. A Worker that doesn't exist yet can't hold
+    // secrets, so the first deployment goes out before its secrets are pushed.
+    const secretsToPush = Object.fromEntries(
+      [...drift.missing, ...drift.changed].map((name) => [name, secrets[name]])
+    );
+    if (drift.workerExists) {
+      await pushSecrets(secretsToPush, target);
+    }
+
+    const url = await deployToCloudflare(target, envVars);
+    if (url === null) {
+      process.exit(1);
+    }
+
+    if (!drift.workerExists) {
+      await pushSecrets(secretsToPush, target);
+    }
 
-    // Step 5: Deploy
-    const deploySuccess = await deployToCloudflare();
-    if (!deploySuccess) {
+    // Step 7: Smoke test
+    if (!url) {
+      logError('Could not find the Worker URL in the wrangler output - set API_URL in .env');
       process.exit(1);
     }
+    logInfo('Running smoke test...');
+    if (!await smokeTest(url)) {
+      process.exit(1);
+    }
+
+    if (outputPath) {
+      await fs.outputJson(outputPath, {
+        environment: target.name ?? null,
+        workerName: target.workerName,
+        apiUrl: url,
+        firebaseProjectId: config.firebase.projectId,
+        serveUi,
+        pages: serveUi ? null : target.pages,
+      }, { spaces: 2 });
+    }
 
     log('🎉 Deployment completed successfully!', 'green');
     
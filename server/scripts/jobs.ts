@@ -0,0 +1,131 @@
+/**
+ * Background job queue CLI
+ * Works against DATABASE_URL - with `pnpm dev` running, the local database server
+ *
+ * Usage:
+ *   pnpm jobs:enqueue <name> '<json>'              Enqueue a job (see QUEUE_JOBS in src/lib/queue.ts)
+ *   pnpm jobs:enqueue <name> '<json>' --key K      ...with an idempotency key
+ *   pnpm jobs:enqueue <name> '<json>' --delay 60   ...to run in 60 seconds
+ *   pnpm jobs:work                                 Run due jobs until none are left
+ *   pnpm jobs:work -- --watch                      Keep polling for jobs until Ctrl+C
+ *   pnpm jobs:list                                 Show the newest jobs
+ *   pnpm jobs:list -- --status dead                ...with one status (pending, running, queued, succeeded, dead)
+ *   pnpm jobs:retry <id>                           Requeue a dead job
+ */
+
+import 'dotenv/config';
+import { eq } from 'drizzle-orm';
+import { getConfig } from '../src/lib/config';
+import { clearConnectionCache, openRuntimeDatabase } from '../src/lib/db';
+import {
+  createPostgresQueue,
+  isQueueJobName,
+  listQueuedJobs,
+  runQueueWorker,
+  QUEUE_JOBS,
+  type QueueJobName,
+} from '../src/lib/queue';
+import { queuedJobs, queuedJobStatuses, type QueuedJobStatus } from '../src/schema/queue';
+
+// Flags followed by a value
+const VALUE_FLAGS = ['--key', '--delay', '--status', '--limit'];
+
+const parseCliArgs = () => {
+  const args = process.argv.slice(2).filter((arg) => arg !== '--');
+  const valueOf = (flag: string) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+
+  return {
+    command: positional[0],
+    args: positional.slice(1),
+    key: valueOf('--key'),
+    delay: valueOf('--delay') ? parseInt(valueOf('--delay')!) : undefined,
+    status: valueOf('--status'),
+    limit: valueOf('--limit') ? parseInt(valueOf('--limit')!) : 20,
+    watch: args.includes('--watch'),
+  };
+};
+
+const parseJobName = (name: string | undefined): QueueJobName => {
+  if (!name || !isQueueJobName(name)) {
+    throw new Error(`Unknown job "${name ?? ''}". Jobs: ${Object.keys(QUEUE_JOBS).join(', ')}`);
+  }
+  return name;
+};
+
+const parseStatus = (status: string | undefined): QueuedJobStatus | undefined => {
+  if (status !== undefined && !queuedJobStatuses.includes(status as QueuedJobStatus)) {
+    throw new Error(`--status must be one of ${queuedJobStatuses.join(', ')}`);
+  }
+  return status as QueuedJobStatus | undefined;
+};
+
+const main = async () => {
+  const cli = parseCliArgs();
+  const db = openRuntimeDatabase(false).db;
+  const jobs = createPostgresQueue(db);
+
+  try {
+    switch (cli.command) {
+      case 'enqueue': {
+        const name = parseJobName(cli.args[0]);
+        const payload = JSON.parse(cli.args[1] ?? '{}');
+        const { id, duplicate } = await jobs.enqueue(name, payload, { idempotencyKey: cli.key, delaySeconds: cli.delay });
+        console.log(duplicate
+          ? `ℹ️  Job ${id} already has idempotency key "${cli.key}", nothing enqueued`
+          : `✅ Enqueued ${name} as job ${id}`);
+        break;
+      }
+
+      case 'work': {
+        const controller = new AbortController();
+        process.on('SIGINT', () => controller.abort());
+        console.log(cli.watch ? '👷 Running jobs, Ctrl+C to stop' : '👷 Running due jobs');
+        await runQueueWorker(db, {
+          concurrency: getConfig().queue.concurrency,
+          pollIntervalMs: getConfig().queue.pollIntervalSeconds * 1000,
+          signal: controller.signal,
+          untilEmpty: !cli.watch,
+        });
+        console.log('✅ No jobs due');
+        break;
+      }
+
+      case 'list': {
+        const rows = await listQueuedJobs(db, { status: parseStatus(cli.status), limit: cli.limit });
+        for (const job of rows) {
+          const error = job.last_error ? ` - ${job.last_error}` : '';
+          console.log(`${job.id}\t${job.status}\t${job.name}\tattempts ${job.attempts}/${job.max_attempts}${error}`);
+        }
+        console.log(`\n${rows.length} job(s)`);
+        break;
+      }
+
+      case 'retry': {
+        const id = parseInt(cli.args[0]);
+        const [job] = Number.isNaN(id) ? [] : await db.select().from(queuedJobs).where(eq(queuedJobs.id, id)).limit(1);
+        if (!job) {
+          throw new Error(`No job with id ${cli.args[0]}`);
+        }
+        if (!await jobs.retry(job)) {
+          throw new Error(`Job ${id} is ${job.status}, only dead jobs can be retried`);
+        }
+        console.log(`✅ Requeued job ${id}`);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${cli.command ?? ''}". Use enqueue, work, list or retry.`);
+    }
+  } finally {
+    await clearConnectionCache();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
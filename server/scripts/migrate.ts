@@ -0,0 +1,230 @@
+/**
+ * Database migration CLI
+ * Applies the numbered SQL migrations in server/drizzle to DATABASE_URL
+ *
+ * Usage:
+ *   pnpm db:migrate                    Apply all pending migrations
+ *   pnpm db:migrate -- --to 0003       Apply pending migrations up to 0003
+ *   pnpm db:migrate -- --dry-run       Preview pending SQL and diff the result against src/schema/*
+ *   pnpm db:migrate -- --wait 60       Retry connecting for up to 60 seconds first (used by `pnpm dev`)
+ *   pnpm db:migrate:down               Roll back the last applied migration
+ *   pnpm db:migrate:down -- --steps 2  Roll back the last two migrations
+ *   pnpm db:migrate:status             Show applied and pending migrations
+ *   pnpm db:migrate:diff               Diff the current database against src/schema/*
+ *   pnpm db:migrate:new <name>         Create an empty migration pair
+ */
+
+import 'dotenv/config';
+import { existsSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  createMigrationClient,
+  diffSchema,
+  getMigrationStatus,
+  getUnknownAppliedMigrations,
+  loadMigrations,
+  migrateDown,
+  migrateUp,
+  type SchemaDrift,
+} from '../src/lib/migrations';
+import { getConfig } from '../src/lib/config';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'drizzle');
+const SCHEMA_DIR = path.join(__dirname, '..', 'src', 'schema');
+
+const parseCliArgs = () => {
+  const args = process.argv.slice(2).filter((arg) => arg !== '--');
+  const valueOf = (flag: string) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const positiveIntOf = (flag: string, fallback: number) => {
+    if (!args.includes(flag)) {
+      return fallback;
+    }
+    const value = valueOf(flag);
+    if (!value || !/^[1-9]\d*$/.test(value)) {
+      throw new Error(`Usage: ${flag} <n>, where n is a positive integer (got "${value ?? ''}")`);
+    }
+    return Number(value);
+  };
+
+  return {
+    command: args[0] ?? 'up',
+    name: args[1],
+    to: valueOf('--to'),
+    steps: positiveIntOf('--steps', 1),
+    waitSeconds: positiveIntOf('--wait', 0),
+    dryRun: args.includes('--dry-run'),
+  };
+};
+
+// Retry the first connection, e.g. while `pnpm dev` is still starting the database server
+const waitForDatabase = async (sql: ReturnType<typeof createMigrationClient>, seconds: number) => {
+  const deadline = Date.now() + seconds * 1000;
+  for (;;) {
+    try {
+      await sql`SELECT 1`;
+      return;
+    } catch (error) {
+      if (Date.now() >= deadline) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+};
+
+const printDrift = (drift: SchemaDrift[]) => {
+  if (drift.length === 0) {
+    console.log('✅ Database matches src/schema/*');
+    return;
+  }
+
+  console.log(`⚠️  ${drift.length} difference(s) between the database and src/schema/*:`);
+  for (const item of drift) {
+    const target = item.column ? `${item.table}.${item.column}` : item.table;
+    switch (item.kind) {
+      case 'missing_table':
+        console.log(`   + ${target} (table defined in schema, missing in database)`);
+        break;
+      case 'extra_table':
+        console.log(`   - ${target} (table exists in database, not in schema)`);
+        break;
+      case 'missing_column':
+        console.log(`   + ${target} ${item.expected} (column missing in database)`);
+        break;
+      case 'extra_column':
+        console.log(`   - ${target} (column exists in database, not in schema)`);
+        break;
+      default:
+        console.log(`   ~ ${target}: schema has ${item.expected}, database has ${item.actual}`);
+    }
+  }
+};
+
+const createMigrationFiles = async (name: string | undefined) => {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Usage: pnpm db:migrate:new <name> (letters, numbers, _ and - only)');
+  }
+
+  const migrations = await loadMigrations(MIGRATIONS_DIR);
+  const lastNumber = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].id.slice(0, 4)) : -1;
+  const id = `${String(lastNumber + 1).padStart(4, '0')}_${name}`;
+
+  const upPath = path.join(MIGRATIONS_DIR, `${id}.sql`);
+  const downPath = path.join(MIGRATIONS_DIR, `${id}.down.sql`);
+  if (existsSync(upPath)) {
+    throw new Error(`${upPath} already exists`);
+  }
+
+  await writeFile(upPath, `-- ${id}: write forward SQL here. Tables belong in the "app" schema.\n`);
+  await writeFile(downPath, `-- ${id}: write SQL that reverses ${id}.sql here.\n`);
+  console.log(`✅ Created drizzle/${id}.sql and drizzle/${id}.down.sql`);
+};
+
+const main = async () => {
+  const cli = parseCliArgs();
+
+  if (cli.command === 'new') {
+    await createMigrationFiles(cli.name);
+    return;
+  }
+
+  const connectionString = getConfig().database.url;
+  if (!connectionString) {
+    throw new Error('DATABASE_URL not found');
+  }
+
+  const sql = createMigrationClient(connectionString);
+  const migrations = await loadMigrations(MIGRATIONS_DIR);
+
+  try {
+    if (cli.waitSeconds > 0) {
+      await waitForDatabase(sql, cli.waitSeconds);
+    }
+
+    switch (cli.command) {
+      case 'up': {
+        const { applied, drift } = await migrateUp(sql, migrations, {
+          to: cli.to,
+          dryRun: cli.dryRun,
+          schemaDir: SCHEMA_DIR,
+        });
+
+        if (applied.length === 0) {
+          console.log('✅ Database is up to date');
+        } else if (cli.dryRun) {
+          console.log(`🔍 Dry run - ${applied.length} pending migration(s), nothing was committed:\n`);
+          for (const migration of applied) {
+            console.log(`-- ${migration.id}.sql\n${migration.upSql.trim()}\n`);
+          }
+        } else {
+          for (const migration of applied) {
+            console.log(`   ✅ Applied ${migration.id}`);
+          }
+          console.log(`✅ Applied ${applied.length} migration(s)`);
+        }
+
+        if (drift) printDrift(drift);
+        break;
+      }
+
+      case 'down': {
+        const rolledBack = await migrateDown(sql, migrations, { steps: cli.steps, dryRun: cli.dryRun });
+
+        if (rolledBack.length === 0) {
+          console.log('ℹ️  No applied migrations to roll back');
+        } else if (cli.dryRun) {
+          console.log(`🔍 Dry run - would roll back ${rolledBack.length} migration(s):\n`);
+          for (const migration of rolledBack) {
+            console.log(`-- ${migration.id}.down.sql\n${migration.downSql!.trim()}\n`);
+          }
+        } else {
+          for (const migration of rolledBack) {
+            console.log(`   ↩️  Rolled back ${migration.id}`);
+          }
+        }
+        break;
+      }
+
+      case 'status': {
+        const statuses = await getMigrationStatus(sql, migrations);
+        for (const status of statuses) {
+          const marker = status.checksumMismatch ? '⚠️ ' : status.applied ? '✅' : '⏳';
+          const detail = status.checksumMismatch
+            ? 'modified after being applied'
+            : status.appliedAt ? `applied ${status.appliedAt.toISOString()}` : 'pending';
+          console.log(`${marker} ${status.id} (${detail})`);
+        }
+
+        const unknown = await getUnknownAppliedMigrations(sql, migrations);
+        for (const id of unknown) {
+          console.log(`❓ ${id} (recorded in ledger, file missing)`);
+        }
+
+        const pendingCount = statuses.filter((s) => !s.applied).length;
+        console.log(`\n${statuses.length - pendingCount} applied, ${pendingCount} pending`);
+        break;
+      }
+
+      case 'diff':
+        printDrift(await diffSchema(sql, SCHEMA_DIR));
+        break;
+
+      default:
+        throw new Error(`Unknown command "${cli.command}". Use up, down, status, diff or new.`);
+    }
+  } finally {
+    await sql.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ Migration failed: ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+/**
+ * Anonymous account lifecycle: merging into a permanent account and cleaning up stale ones
+ *
+ * Upgrading an anonymous Firebase user in place (linkWithCredential/linkWithPopup) keeps its uid.
+ * When the credential already belongs to an account, the client signs into that account instead
+ * and the anonymous uid's rows would be orphaned - POST /protected/link moves them with
+ * mergeUsers. Anonymous users nobody links are deleted by deleteStaleAnonymousUsers.
+ */
+
+import { and, eq, exists, getTableColumns, lt, sql, type SQL } from 'drizzle-orm';
+import { alias, type PgColumn, type PgTable } from 'drizzle-orm/pg-core';
+import { getConfig } from './config';
+import { withTransaction, type Database, type Transaction } from './db';
+import { invalidateCachedUser } from './user-cache';
+import { users } from '../schema/users';
+
+// Moves the rows one table holds for `fromId` to `toId`, returning how many moved
+type ReassignRows = (tx: Transaction, fromId: string, toId: string) => Promise<number>;
+
+/**
+ * Reassign a table's rows by rewriting its owner column
+ * `uniqueBy` lists the columns that are unique together with the owner: where the target user
+ * already has a row with the same values, the moving row is dropped instead.
+ */
+export function reassignOwner<T extends PgTable>(
+  table: T,
+  ownerColumn: keyof T['_']['columns'] & string,
+  options: { uniqueBy?: (keyof T['_']['columns'] & string)[] } = {}
+): ReassignRows {
+  const columns = getTableColumns(table) as Record<string, PgColumn>;
+  const owner = columns[ownerColumn];
+
+  return async (tx, fromId, toId) => {
+    if (options.uniqueBy?.length) {
+      const kept = alias(table, 'kept');
+      const keptColumns = getTableColumns(kept) as Record<string, PgColumn>;
+      const sameKey: SQL[] = options.uniqueBy.map((key) => eq(keptColumns[key], columns[key]));
+      await tx.delete(table).where(and(
+        eq(owner, fromId),
+        exists(tx.select({ one: sql`1` }).from(kept).where(and(eq(keptColumns[ownerColumn], toId), ...sameKey))),
+      ));
+    }
+
+    const moved = await tx.update(table)
+      .set({ [ownerColumn]: toId } as T['$inferInsert'])
+      .where(eq(owner, fromId))
+      .returning({ owner });
+    return moved.length;
+  };
+}
+
+/**
+ * Tables with rows owned by a user, and how to move them to another user
+ * Add an entry for every new table referencing app.users(id), usually with reassignOwner, e.g.
+ * `notes: reassignOwner(notes, 'user_id', { uniqueBy: ['slug'] })`. Rows of tables missing here
+ * are deleted with the anonymous user (ON DELETE CASCADE) instead. Every entry runs in the
+ * merge's transaction.
+ *
+ * app.user_roles is deliberately missing: whoever holds an anonymous session could otherwise
+ * carry roles granted to it into any account they can sign into. Its roles go with it.
+ */
+export const OWNED_ROWS: Record<string, ReassignRows> = {};
+
+export type MergeResult = {
+  // Rows moved per OWNED_ROWS table
+  moved: Record<string, number>;
+};
+
+/**
+ * Move everything `fromId` owns to `toId` and delete `fromId`, in one transaction
+ * Returns null when `fromId` has no row (it never called the API, or was already merged).
+ */
+export async function mergeUsers(db: Database, fromId: string, toId: string): Promise<MergeResult | null> {
+  const result = await withTransaction(db, async (tx) => {
+    // Concurrent merges of the same user wait here, then find it gone
+    const [from] = await tx.select({ id: users.id })
+      .from(users)
+      .where(eq(users.id, fromId))
+      .for('update');
+    if (!from) {
+      return null;
+    }
+
+    const moved: Record<string, number> = {};
+    for (const [table, reassign] of Object.entries(OWNED_ROWS)) {
+      moved[table] = await reassign(tx, fromId, toId);
+    }
+    await tx.delete(users).where(eq(users.id, fromId));
+
+    return { moved };
+  });
+
+  invalidateCachedUser(fromId);
+  invalidateCachedUser(toId);
+  return result;
+}
+
+/**
+ * Days an anonymous user may stay idle before it is deleted
+ * With ALLOW_ANONYMOUS_USERS=false anonymous sessions are refused and their ID tokens expire within
+ * the hour, so they can't be used or linked any more and a day is enough.
+ */
+export function getAnonymousUserRetentionDays(): number {
+  const config = getConfig();
+  return config.allowAnonymousUsers ? config.anonymousUserRetentionDays : 1;
+}
+
+/**
+ * Delete anonymous users not seen for the retention period, with everything they own
+ * Only the app.users rows go - the Firebase accounts stay until deleted with the Admin SDK.
+ * @returns How many users were deleted
+ */
+export async function deleteStaleAnonymousUsers(db: Database): Promise<number> {
+  const cutoff = new Date(Date.now() - getAnonymousUserRetentionDays() * 24 * 60 * 60 * 1000);
+
+  const deleted = await db.delete(users)
+    .where(and(
+      eq(users.sign_in_provider, 'anonymous'),
+      // Not bound to a column, so drizzle won't map the Date - postgres-js needs it as a string
+      lt(sql`coalesce(${users.last_seen_at}, ${users.updated_at})`, cutoff.toISOString()),
+    ))
+    .returning();
+
+  for (const { id } of deleted) {
+    invalidateCachedUser(id);
+  }
+  return deleted.length;
+}
@@ -0,0 +1,113 @@
+/**
+ * Audit log: who signed in, changed a profile, granted a role or deleted an account, and from where
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Middleware and routes call recordAuditEvent with the request's context, which supplies the
+ * actor, IP address, user agent and request ID. Events are kept for AUDIT_RETENTION_DAYS and
+ * deleted by the prune-audit-events scheduled job.
+ */
+
+import type { Context } from 'hono';
+import { and, desc, eq, gte, lt } from 'drizzle-orm';
+import type { Database } from './db';
+import { getClientIp } from './client-ip';
+import { getConfig } from './config';
+import { log } from './logger';
+import { auditEvents, type AuditAction, type AuditEvent } from '../schema/audit';
+
+// Longer User-Agent headers are cut, they're sent by the client
+const MAX_USER_AGENT_LENGTH = 512;
+
+export type AuditEventInput = {
+  action: AuditAction;
+  // Defaults to the signed-in user; authMiddleware passes it before the user is on the context
+  actorId?: string;
+  target?: { type: string; id: string };
+  metadata?: Record<string, unknown>;
+};
+
+/**
+ * Record an event for the current request
+ * A failed write doesn't fail the request it describes. It is logged at error level with the
+ * whole event, so the entry can still be found in the logs.
+ */
+export async function recordAuditEvent(c: Context, event: AuditEventInput): Promise<void> {
+  const values = {
+    action: event.action,
+    actor_id: event.actorId ?? c.get('user')?.id ?? null,
+    target_type: event.target?.type ?? null,
+    target_id: event.target?.id ?? null,
+    ip: getClientIp(c) ?? null,
+    user_agent: c.req.header('User-Agent')?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+    request_id: c.get('requestId') ?? null,
+    metadata: event.metadata ?? null,
+  };
+
+  try {
+    await c.get('db').insert(auditEvents).values(values);
+  } catch (error) {
+    log.error('Could not record audit event', { error, ...values });
+  }
+}
+
+export type ListAuditEventsOptions = {
+  actor_id?: string;
+  action?: AuditAction;
+  target_type?: string;
+  target_id?: string;
+  since?: Date;
+  until?: Date;
+  // next_cursor of the previous page
+  cursor?: number;
+  limit: number;
+};
+
+export type AuditEventPage = {
+  events: AuditEvent[];
+  // Pass as `cursor` for the next page; null on the last one
+  next_cursor: number | null;
+};
+
+/**
+ * Events matching every given filter, newest first, a page at a time
+ * Pages go by id rather than offset, so events recorded meanwhile don't shift them.
+ */
+export async function listAuditEvents(db: Database, options: ListAuditEventsOptions): Promise<AuditEventPage> {
+  const rows = await db.select()
+    .from(auditEvents)
+    .where(and(
+      options.actor_id ? eq(auditEvents.actor_id, options.actor_id) : undefined,
+      options.action ? eq(auditEvents.action, options.action) : undefined,
+      options.target_type ? eq(auditEvents.target_type, options.target_type) : undefined,
+      options.target_id ? eq(auditEvents.target_id, options.target_id) : undefined,
+      options.since ? gte(auditEvents.occurred_at, options.since) : undefined,
+      options.until ? lt(auditEvents.occurred_at, options.until) : undefined,
+      options.cursor ? lt(auditEvents.id, options.cursor) : undefined,
+    ))
+    .orderBy(desc(auditEvents.id))
+    // One extra row tells whether there is another page
+    .limit(options.limit + 1);
+
+  const events = rows.slice(0, options.limit);
+  return {
+    events,
+    next_cursor: rows.length > options.limit ? events[events.length - 1].id : null,
+  };
+}
+
+/**
+ * Delete events older than AUDIT_RETENTION_DAYS (0 keeps them forever)
+ * @returns How many events were deleted
+ */
+export async function pruneAuditEvents(db: Database): Promise<number> {
+  const retentionDays = getConfig().auditRetentionDays;
+  if (retentionDays === 0) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const deleted = await db.delete(auditEvents)
+    .where(lt(auditEvents.occurred_at, cutoff))
+    .returning();
+  return deleted.length;
+}
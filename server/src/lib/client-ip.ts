@@ -0,0 +1,29 @@
+/**
+ * The address a request came from, for rate limiting and the audit log
+ */
+
+import type { Context } from 'hono';
+import { getConfig } from './config';
+
+/**
+ * The client's IP address, or undefined when the runtime doesn't expose it
+ * Workers trust CF-Connecting-IP. Node.js uses the socket address, or with TRUST_PROXY (how many
+ * proxies are in front of the server) the X-Forwarded-For entry the outermost proxy appended.
+ */
+export const getClientIp = (c: Context): string | undefined => {
+  const cfConnectingIp = c.req.header('CF-Connecting-IP');
+  if (c.env?.RUNTIME === 'cloudflare') {
+    return cfConnectingIp;
+  }
+  // Each trusted proxy appends the address it got the request from, so the client is that many
+  // entries from the end - anything further left was sent by the client and can be forged
+  const trustedProxies = getConfig().trustedProxies;
+  if (trustedProxies > 0) {
+    const forwarded = (c.req.header('X-Forwarded-For') ?? '').split(',').map((entry) => entry.trim()).filter(Boolean);
+    if (forwarded.length > 0) {
+      return forwarded[Math.max(0, forwarded.length - trustedProxies)];
+    }
+  }
+  // @hono/node-server passes the Node.js request as c.env.incoming
+  return c.env?.incoming?.socket?.remoteAddress;
+};
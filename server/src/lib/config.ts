@@ -0,0 +1,403 @@
+/**
+ * Typed, schema-validated configuration
+ * Every setting is read from the environment (process.env on Node.js, the bindings on Workers)
+ * and checked against one schema, so a bad value is reported up front together with every
+ * other problem instead of failing at first use.
+ *
+ * Shared by server.ts, api.ts, drizzle.config.ts, scripts/migrate.ts and scripts/deploy-cloudflare.js.
+ */
+
+import { z } from 'zod';
+import type { secureHeaders } from 'hono/secure-headers';
+import { getEnvSource } from './env';
+
+export const databaseDrivers = ['neon-http', 'neon-websocket', 'postgres-js'] as const;
+export type DatabaseDriver = typeof databaseDrivers[number];
+
+export const rateLimitStores = ['memory', 'postgres', 'kv', 'durable-object'] as const;
+export type RateLimitStoreKind = typeof rateLimitStores[number];
+
+export const securityHeadersPresetNames = ['development', 'production'] as const;
+export type SecurityHeadersPreset = typeof securityHeadersPresetNames[number];
+
+type SecureHeadersOptions = NonNullable<Parameters<typeof secureHeaders>[0]>;
+
+// The API only serves JSON, so nothing may be loaded, framed or run from its responses
+const apiContentSecurityPolicy: SecureHeadersOptions['contentSecurityPolicy'] = {
+  defaultSrc: ["'none'"],
+  frameAncestors: ["'none'"],
+  baseUri: ["'none'"],
+  formAction: ["'none'"],
+};
+
+export const securityHeadersPresets: Record<SecurityHeadersPreset, SecureHeadersOptions> = {
+  // Plain http on localhost - HSTS would pin the browser to https for every local port
+  development: {
+    contentSecurityPolicy: apiContentSecurityPolicy,
+    strictTransportSecurity: false,
+    xFrameOptions: 'DENY',
+    referrerPolicy: 'no-referrer',
+  },
+  production: {
+    contentSecurityPolicy: apiContentSecurityPolicy,
+    strictTransportSecurity: 'max-age=63072000; includeSubDomains',
+    xFrameOptions: 'DENY',
+    referrerPolicy: 'no-referrer',
+  },
+};
+
+// The UI served by SERVE_UI: its own bundle, Firebase Auth (Google APIs, the sign-in popup and its
+// iframe on <project>.firebaseapp.com) and profile photos from any https host
+const uiContentSecurityPolicy: SecureHeadersOptions['contentSecurityPolicy'] = {
+  defaultSrc: ["'self'"],
+  scriptSrc: ["'self'", 'https://apis.google.com'],
+  styleSrc: ["'self'", "'unsafe-inline'"],
+  imgSrc: ["'self'", 'data:', 'https:'],
+  connectSrc: ["'self'", 'https://*.googleapis.com'],
+  frameSrc: ['https://*.firebaseapp.com'],
+  objectSrc: ["'none'"],
+  frameAncestors: ["'none'"],
+  baseUri: ["'self'"],
+  formAction: ["'self'"],
+};
+
+export const uiSecurityHeadersPresets: Record<SecurityHeadersPreset, SecureHeadersOptions> = {
+  // Also reach the Firebase Auth emulator on localhost
+  development: {
+    ...securityHeadersPresets.development,
+    contentSecurityPolicy: {
+      ...uiContentSecurityPolicy,
+      connectSrc: ["'self'", 'https://*.googleapis.com', 'http://localhost:*'],
+      frameSrc: ['https://*.firebaseapp.com', 'http://localhost:*'],
+    },
+    // signInWithPopup talks to its popup window
+    crossOriginOpenerPolicy: 'same-origin-allow-popups',
+  },
+  production: {
+    ...securityHeadersPresets.production,
+    contentSecurityPolicy: uiContentSecurityPolicy,
+    crossOriginOpenerPolicy: 'same-origin-allow-popups',
+  },
+};
+
+export type DatabasePoolConfig = {
+  max?: number;
+  idleTimeoutSeconds?: number;
+  connectTimeoutSeconds?: number;
+  maxLifetimeSeconds?: number;
+};
+
+export type RateLimitConfig = {
+  enabled: boolean;
+  // Unset: the RATE_LIMITER Durable Object or RATE_LIMIT_KV namespace if bound, otherwise memory
+  store?: RateLimitStoreKind;
+  windowSeconds: number;
+  // Per client IP across /api, checked before the token is verified
+  ipMax: number;
+  // Per signed-in user across /api/v1/protected
+  userMax: number;
+};
+
+// Unset and empty values both mean "use the default"; wrangler [vars] may also hold numbers and booleans
+const optional = <T extends z.ZodTypeAny>(schema: T) =>
+  z.preprocess((value) => (value === '' || value === null ? undefined : value), schema.optional());
+
+const positiveInt = z.coerce.number({ invalid_type_error: 'must be a positive integer' })
+  .int('must be a positive integer')
+  .positive('must be a positive integer');
+
+const nonNegativeInt = z.coerce.number({ invalid_type_error: 'must be 0 or a positive integer' })
+  .int('must be 0 or a positive integer')
+  .min(0, 'must be 0 or a positive integer');
+
+const flag = z.union([
+  z.boolean(),
+  z.enum(['true', 'false']).transform((value) => value === 'true'),
+], { errorMap: () => ({ message: 'must be true or false' }) });
+
+const oneOf = <T extends readonly [string, ...string[]]>(values: T) =>
+  z.enum(values, { errorMap: () => ({ message: `must be one of ${values.join(', ')}` }) });
+
+const originList = z.string().transform((value, ctx) => {
+  const origins = value.split(',').map((origin) => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+  for (const origin of origins) {
+    if (!/^https?:\/\/[^/]+$/.test(origin)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${origin}" is not an origin like https://example.com` });
+    }
+  }
+  return origins;
+});
+
+// true (one proxy), false, or how many proxies in front of the server append to X-Forwarded-For
+const proxyHops = z.union([
+  flag,
+  z.coerce.number().int().min(0, 'must be true, false or a number of proxies'),
+], { errorMap: () => ({ message: 'must be true, false or a number of proxies' }) })
+  .transform((value) => (value === true ? 1 : value === false ? 0 : value));
+
+const postgresUrl = z.string().refine((value) => /^postgres(ql)?:\/\//.test(value), {
+  message: 'must be a postgres:// or postgresql:// connection string',
+});
+
+const envSchema = z.object({
+  RUNTIME: optional(oneOf(['cloudflare', 'node'])),
+  NODE_ENV: optional(oneOf(['development', 'production', 'test'])),
+  PORT: optional(positiveInt.max(65535, 'must be a port number')),
+
+  DATABASE_URL: optional(postgresUrl),
+  DATABASE_DRIVER: optional(oneOf(databaseDrivers)),
+  DATABASE_POOL_MAX: optional(positiveInt),
+  DATABASE_IDLE_TIMEOUT: optional(positiveInt),
+  DATABASE_CONNECT_TIMEOUT: optional(positiveInt),
+  DATABASE_MAX_LIFETIME: optional(positiveInt),
+
+  FIREBASE_PROJECT_ID: z.string({ required_error: 'is required' }).min(1, 'is required'),
+  FIREBASE_AUTH_EMULATOR_HOST: optional(z.string()),
+  FIREBASE_AUTH_EMULATOR: optional(flag),
+  ALLOW_FIREBASE_EMULATOR_IN_PRODUCTION: optional(flag),
+  ALLOW_ANONYMOUS_USERS: optional(flag),
+  ANONYMOUS_USER_RETENTION_DAYS: optional(positiveInt),
+  USER_CACHE_TTL: optional(nonNegativeInt),
+  LAST_SEEN_INTERVAL: optional(positiveInt),
+  AUDIT_RETENTION_DAYS: optional(nonNegativeInt),
+
+  QUEUE_WORKER: optional(flag),
+  QUEUE_CONCURRENCY: optional(positiveInt),
+  QUEUE_POLL_INTERVAL: optional(positiveInt),
+
+  EMAIL_FROM: optional(z.string()),
+  RESEND_API_KEY: optional(z.string()),
+
+  CORS_ORIGINS: optional(originList),
+  CORS_DEV_ORIGIN: optional(originList),
+  CORS_MAX_AGE: optional(positiveInt),
+  SECURITY_HEADERS: optional(oneOf(securityHeadersPresetNames)),
+
+  RATE_LIMIT_ENABLED: optional(flag),
+  RATE_LIMIT_STORE: optional(oneOf(rateLimitStores)),
+  RATE_LIMIT_WINDOW: optional(positiveInt),
+  RATE_LIMIT_IP_MAX: optional(positiveInt),
+  RATE_LIMIT_USER_MAX: optional(positiveInt),
+  TRUST_PROXY: optional(proxyHops),
+
+  WEB_CONCURRENCY: optional(positiveInt),
+  SHUTDOWN_TIMEOUT: optional(positiveInt),
+  KEEP_ALIVE_TIMEOUT: optional(positiveInt),
+
+  SERVE_UI: optional(flag),
+  UI_DIST_DIR: optional(z.string()),
+}).superRefine((env, ctx) => {
+  // Half an email setup would silently send nothing
+  if (env.RESEND_API_KEY && !env.EMAIL_FROM) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['EMAIL_FROM'], message: 'is required with RESEND_API_KEY' });
+  }
+  if (env.EMAIL_FROM && !env.RESEND_API_KEY) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['RESEND_API_KEY'], message: 'is required with EMAIL_FROM' });
+  }
+});
+
+type ParsedEnv = z.infer<typeof envSchema>;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const isLocalDatabaseUrl = (url: string | undefined): boolean => {
+  if (!url) {
+    return false;
+  }
+  try {
+    return LOCAL_HOSTS.includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Firebase Auth emulator tokens are only accepted with FIREBASE_AUTH_EMULATOR_HOST plus an
+ * explicit opt-in: a `demo-*` project ID (Firebase's emulator-only projects) or
+ * FIREBASE_AUTH_EMULATOR=true. Refused when NODE_ENV=production unless
+ * ALLOW_FIREBASE_EMULATOR_IN_PRODUCTION=true.
+ */
+const isEmulatorEnabled = (env: ParsedEnv): boolean => {
+  if (!env.FIREBASE_AUTH_EMULATOR_HOST) {
+    return false;
+  }
+  const optedIn = env.FIREBASE_PROJECT_ID.startsWith('demo-') || env.FIREBASE_AUTH_EMULATOR === true;
+  if (!optedIn) {
+    return false;
+  }
+  return env.NODE_ENV !== 'production' || env.ALLOW_FIREBASE_EMULATOR_IN_PRODUCTION === true;
+};
+
+const toConfig = (env: ParsedEnv) => {
+  const emulatorHost = env.FIREBASE_AUTH_EMULATOR_HOST ?? 'localhost:5503';
+
+  return {
+    runtime: env.RUNTIME ?? 'node',
+    nodeEnv: env.NODE_ENV,
+    isDevelopment: env.NODE_ENV === 'development',
+    isProduction: env.NODE_ENV === 'production',
+    port: env.PORT ?? 8787,
+    database: {
+      url: env.DATABASE_URL,
+      // Unset: neon-http for Neon URLs, postgres-js otherwise (see lib/db.ts)
+      driver: env.DATABASE_DRIVER,
+      pool: {
+        max: env.DATABASE_POOL_MAX,
+        idleTimeoutSeconds: env.DATABASE_IDLE_TIMEOUT,
+        connectTimeoutSeconds: env.DATABASE_CONNECT_TIMEOUT,
+        maxLifetimeSeconds: env.DATABASE_MAX_LIFETIME,
+      } satisfies DatabasePoolConfig,
+      // Points at this machine, e.g. the local database server started by `pnpm dev`
+      isLocal: isLocalDatabaseUrl(env.DATABASE_URL),
+    },
+    firebase: {
+      projectId: env.FIREBASE_PROJECT_ID,
+      emulatorEnabled: isEmulatorEnabled(env),
+      emulatorUrl: emulatorHost.startsWith('http') ? emulatorHost : `http://${emulatorHost}`,
+    },
+    allowAnonymousUsers: env.ALLOW_ANONYMOUS_USERS ?? true,
+    // Days an anonymous user may stay idle before the cleanup deletes it (lib/accounts.ts)
+    anonymousUserRetentionDays: env.ANONYMOUS_USER_RETENTION_DAYS ?? 30,
+    users: {
+      // How long authMiddleware reuses a token's user and roles in this isolate/process (0: load every time)
+      cacheTtlSeconds: env.USER_CACHE_TTL ?? 30,
+      // Minimum time between last_seen_at writes for a user
+      lastSeenIntervalSeconds: env.LAST_SEEN_INTERVAL ?? 300,
+    },
+    // Days audit events are kept before the prune-audit-events job deletes them (0: forever)
+    auditRetentionDays: env.AUDIT_RETENTION_DAYS ?? 365,
+    // Background jobs (lib/queue.ts); Workers take them from Cloudflare Queues instead
+    queue: {
+      // Run queued jobs in this Node.js server; turn off when a separate `pnpm jobs:work` process does
+      workerEnabled: env.QUEUE_WORKER ?? true,
+      // Jobs run at once by each worker
+      concurrency: env.QUEUE_CONCURRENCY ?? 5,
+      // Seconds between polls while the queue is empty
+      pollIntervalSeconds: env.QUEUE_POLL_INTERVAL ?? 1,
+    },
+    // Transactional email (lib/email.ts); unset sends nothing
+    email: {
+      // Sender, e.g. "My App <hello@example.com>" on a domain verified with the provider
+      from: env.EMAIL_FROM,
+      resendApiKey: env.RESEND_API_KEY,
+    },
+    cors: {
+      // Deployed frontends (CORS_ORIGINS) plus the Vite dev server (CORS_DEV_ORIGIN, set by scripts/run-dev.js)
+      origins: [...new Set([...(env.CORS_ORIGINS ?? []), ...(env.CORS_DEV_ORIGIN ?? [])])],
+      // How long browsers may cache a preflight response
+      maxAgeSeconds: env.CORS_MAX_AGE ?? 7200,
+    },
+    securityHeaders: env.SECURITY_HEADERS ?? (env.NODE_ENV === 'development' ? 'development' : 'production'),
+    rateLimit: {
+      enabled: env.RATE_LIMIT_ENABLED ?? true,
+      store: env.RATE_LIMIT_STORE,
+      windowSeconds: env.RATE_LIMIT_WINDOW ?? 60,
+      ipMax: env.RATE_LIMIT_IP_MAX ?? 300,
+      userMax: env.RATE_LIMIT_USER_MAX ?? 120,
+    } satisfies RateLimitConfig,
+    // Proxies in front of a Node.js server whose X-Forwarded-For entries are trusted (0: use the
+    // socket address); Workers use CF-Connecting-IP
+    trustedProxies: env.TRUST_PROXY ?? 0,
+    // Node.js server (src/server.ts)
+    server: {
+      // Processes sharing the port through node:cluster; 1 runs without a cluster primary
+      workers: env.WEB_CONCURRENCY ?? 1,
+      // How long in-flight requests may run after SIGTERM before connections are cut
+      shutdownTimeoutSeconds: env.SHUTDOWN_TIMEOUT ?? 30,
+      // Longer than a load balancer's idle timeout (60s on most), so it closes idle connections first
+      keepAliveTimeoutSeconds: env.KEEP_ALIVE_TIMEOUT ?? 65,
+    },
+    ui: {
+      // Serve the built UI from this origin (middleware/ui.ts) instead of a separate frontend
+      enabled: env.SERVE_UI ?? false,
+      // Node.js only, relative to the working directory; Workers use the [assets] directory in wrangler.toml
+      distDir: env.UI_DIST_DIR ?? '../ui/dist',
+    },
+  };
+};
+
+export type Config = ReturnType<typeof toConfig>;
+
+// Values of these variables never appear in errors or printed config, and are deployed as Worker secrets
+const SECRET_NAME_PATTERN = /SECRET|TOKEN|PASSWORD|PRIVATE_KEY|API_KEY|DATABASE_URL/;
+
+/**
+ * Whether an environment variable holds a secret (connection strings, keys, tokens)
+ */
+export function isSecretName(name: string): boolean {
+  return SECRET_NAME_PATTERN.test(name);
+}
+
+/**
+ * Every problem with the environment, thrown at once
+ */
+export class ConfigError extends Error {
+  constructor(readonly problems: string[]) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Validate an environment and build the config, throwing a ConfigError listing every problem
+ */
+export function parseConfig(env: Record<string, unknown>): Config {
+  const result = envSchema.safeParse(env);
+  if (!result.success) {
+    throw new ConfigError(result.error.issues.map((issue) => {
+      const name = String(issue.path[0]);
+      const value = env[name];
+      const shown = value === undefined || value === '' || isSecretName(name) ? '' : ` (got "${value}")`;
+      return `${name}: ${issue.message}${shown}`;
+    }));
+  }
+  return toConfig(result.data);
+}
+
+// Parsed once per environment object: process.env, or one Worker's bindings
+const configCache = new WeakMap<object, Config>();
+
+/**
+ * Config for the current environment (see runWithEnv in lib/env.ts)
+ */
+export function getConfig(): Config {
+  const env = getEnvSource();
+  let config = configCache.get(env);
+  if (!config) {
+    config = parseConfig(env);
+    configCache.set(env, config);
+  }
+  return config;
+}
+
+/**
+ * Replace the password in a connection string with ***
+ */
+export function redactUrl(url: string): string {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) {
+      parsed.password = '***';
+    }
+    return parsed.toString();
+  } catch {
+    return '***';
+  }
+}
+
+/**
+ * Config safe to print or log - connection string passwords are masked
+ */
+export function redactConfig(config: Config): Config {
+  return {
+    ...config,
+    database: {
+      ...config.database,
+      url: config.database.url && redactUrl(config.database.url),
+    },
+    email: {
+      ...config.email,
+      resendApiKey: config.email.resendApiKey && '***',
+    },
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Five-field cron expressions, evaluated in UTC like Cloudflare Cron Triggers
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Supports `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists (`1,15`) in
+ * minute, hour, day of month, month and day of week (0-6, 7 is also Sunday). Names (MON, JAN)
+ * and Quartz extensions (L, W, #) are not supported.
+ */
+
+export type CronSchedule = {
+  minutes: Set<number>;
+  hours: Set<number>;
+  daysOfMonth: Set<number>;
+  months: Set<number>;
+  daysOfWeek: Set<number>;
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  dayOfMonthRestricted: boolean;
+  dayOfWeekRestricted: boolean;
+};
+
+type Field = { name: string; min: number; max: number };
+
+const FIELDS: readonly Field[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const parseNumber = (value: string, field: Field, expression: string): number => {
+  const number = /^\d+$/.test(value) ? Number(value) : NaN;
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+  }
+  return number;
+};
+
+const parseField = (source: string, field: Field, expression: string): Set<number> => {
+  const values = new Set<number>();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : parseNumber(stepSource, { ...field, min: 1 }, expression);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field, expression);
+      // `5/15` means from 5 to the end of the field
+      end = to !== undefined ? parseNumber(to, field, expression) : stepSource !== undefined ? field.max : start;
+    }
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range "${range}" in cron expression "${expression}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression, throwing on anything malformed or unsupported
+ */
+export function parseCron(expression: string): CronSchedule {
+  const sources = expression.trim().split(/\s+/);
+  if (sources.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = sources.map(
+    (source, i) => parseField(source, FIELDS[i], expression)
+  );
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: sources[2] !== '*',
+    dayOfWeekRestricted: sources[4] !== '*',
+  };
+}
+
+/**
+ * Whether the schedule fires in the UTC minute containing `date`
+ */
+export function matchesCron(schedule: CronSchedule, date: Date): boolean {
+  if (
+    !schedule.minutes.has(date.getUTCMinutes()) ||
+    !schedule.hours.has(date.getUTCHours()) ||
+    !schedule.months.has(date.getUTCMonth() + 1)
+  ) {
+    return false;
+  }
+
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
@@ -0,0 +1,81 @@
+/**
+ * Transactional email
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Jobs send through the EmailProvider returned by getEmailProvider(). Resend is built in
+ * (RESEND_API_KEY and EMAIL_FROM); another provider only needs its own `send`. Without a
+ * provider no email job is enqueued.
+ */
+
+import { getConfig } from './config';
+
+export type EmailMessage = {
+  to: string;
+  subject: string;
+  text: string;
+  // Same key, same email: lets a retried job send again without a duplicate reaching the user
+  idempotencyKey?: string;
+};
+
+export interface EmailProvider {
+  // Throws EmailError when the provider refuses or can't be reached
+  send(message: EmailMessage): Promise<void>;
+}
+
+/**
+ * A failed send; `retryable` is false when sending the same message again can't succeed
+ */
+export class EmailError extends Error {
+  constructor(message: string, readonly retryable: boolean) {
+    super(message);
+    this.name = 'EmailError';
+  }
+}
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+const SEND_TIMEOUT_MS = 10_000;
+
+/**
+ * Send through the Resend HTTP API (https://resend.com/docs/api-reference/emails/send-email)
+ */
+export function createResendProvider(options: { apiKey: string; from: string; fetch?: typeof fetch }): EmailProvider {
+  const request = options.fetch ?? fetch;
+
+  return {
+    async send(message) {
+      let response: Response;
+      try {
+        response = await request(RESEND_API_URL, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${options.apiKey}`,
+            'Content-Type': 'application/json',
+            ...(message.idempotencyKey ? { 'Idempotency-Key': message.idempotencyKey } : {}),
+          },
+          body: JSON.stringify({ from: options.from, to: [message.to], subject: message.subject, text: message.text }),
+          signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+        });
+      } catch (error) {
+        throw new EmailError(`Resend request failed: ${error instanceof Error ? error.message : String(error)}`, true);
+      }
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        // Rate limits and server errors pass; anything else (bad address, unverified domain) won't
+        const retryable = response.status === 429 || response.status >= 500;
+        throw new EmailError(`Resend answered ${response.status}${detail ? `: ${detail}` : ''}`, retryable);
+      }
+    },
+  };
+}
+
+/**
+ * The configured provider, or null when email is not set up
+ */
+export function getEmailProvider(): EmailProvider | null {
+  const { email } = getConfig();
+  if (!email.resendApiKey || !email.from) {
+    return null;
+  }
+  return createResendProvider({ apiKey: email.resendApiKey, from: email.from });
+}
@@ -1,82 +1,31 @@
 /**
- * Cross-platform environment variable utilities
+ * Cross-platform environment source
  * Works with both Node.js (process.env) and Cloudflare Workers (c.env)
+ *
+ * Read settings through getConfig() in lib/config.ts, which validates them; this module
+ * only decides which environment the current request sees.
  */
 
-type EnvLike = Record<string, string | undefined>;
+import { AsyncLocalStorage } from 'node:async_hooks';
 
-let contextEnv: EnvLike | null = null;
+export type EnvLike = Record<string, string | undefined>;
 
-export function setEnvContext(env: any) {
-  contextEnv = env;
-}
-
-export function clearEnvContext() {
-  contextEnv = null;
-}
-
-function getEnvSource(): EnvLike {
-  return contextEnv || process.env;
-}
-
-/**
- * Get environment variable with fallback support
- * Works in both Node.js and Cloudflare Workers environments
- */
-export function getEnv(key: string, defaultValue?: string): string | undefined {
-  const value = getEnvSource()[key];
-  return value !== undefined ? value : defaultValue;
-}
-
-/**
- * Get required environment variable, throws if missing
- */
-export function getRequiredEnv(key: string): string {
-  const value = getEnv(key);
-  if (!value) {
-    throw new Error(`Required environment variable ${key} is not set`);
-  }
-  return value;
-}
+// Bindings of the request being handled (Workers `c.env`); falls back to process.env
+const envStorage = new AsyncLocalStorage<EnvLike>();
 
 /**
- * Check if we're in development mode
- * Works across Node.js and Cloudflare Workers
+ * Run `fn` with `env` as the environment seen by getConfig
+ * Scoped to the async call chain, so concurrent requests never see each other's bindings
  */
-export function isDevelopment(): boolean {
-  return getEnv('NODE_ENV') === 'development' || 
-         getEnv('FIREBASE_AUTH_EMULATOR_HOST') !== undefined;
+export function runWithEnv<T>(env: EnvLike, fn: () => T): T {
+  return envStorage.run(env, fn);
 }
 
 /**
- * Get database URL from environment
+ * The environment of the current request, or process.env outside of one
  */
-export function getDatabaseUrl(): string | undefined {
-  return getEnv('DATABASE_URL');
-}
-
-/**
- * Check if DATABASE_URL points to local PostgreSQL database server
- */
-export function isLocalEmbeddedPostgres(): boolean {
-  const dbUrl = getDatabaseUrl();
-  // Check if it's a localhost PostgreSQL connection (local database server)
-  return dbUrl ? (dbUrl.includes('localhost:') && dbUrl.includes('postgres:password')) : false;
-}
-
-/**
- * Get Firebase project ID from environment
- */
-export function getFirebaseProjectId(): string {
-  return getRequiredEnv('FIREBASE_PROJECT_ID');
-}
-
-/**
- * Check if anonymous users are allowed
- * Defaults to true if not explicitly set to 'false'
- */
-export function getAllowAnonymousUsers(): boolean {
-  return getEnv('ALLOW_ANONYMOUS_USERS') !== 'false';
+export function getEnvSource(): EnvLike {
+  return envStorage.getStore() || process.env;
 }
 
 /**
@@ -92,4 +41,4 @@ export function getNodeEnv() {
 export function isCloudflareEnv(source: EnvLike): boolean {
   // In Cloudflare Workers, process.env is not available or is empty
   return typeof process === 'undefined' || Object.keys(process.env).length === 0;
-} 
\ No newline at end of file
+}
@@ -0,0 +1,73 @@
+/**
+ * Typed errors for the API
+ * Throw these anywhere in a request; app.onError turns them into problem+json with the matching status.
+ */
+
+import type { ContentfulStatusCode } from 'hono/utils/http-status';
+import type { FieldErrors } from './problem';
+
+export class AppError extends Error {
+  readonly status: ContentfulStatusCode;
+  readonly errors?: FieldErrors;
+  // Whether `message` is safe to send to the client; 5xx messages are replaced by a generic one
+  readonly expose: boolean;
+  readonly cause?: unknown;
+
+  constructor(
+    status: ContentfulStatusCode,
+    message: string,
+    options: { cause?: unknown; errors?: FieldErrors; expose?: boolean } = {}
+  ) {
+    super(message);
+    this.name = new.target.name;
+    this.cause = options.cause;
+    this.status = status;
+    this.errors = options.errors;
+    this.expose = options.expose ?? status < 500;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message: string, errors?: FieldErrors) {
+    super(400, message, { errors });
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', options: { cause?: unknown } = {}) {
+    super(401, message, options);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions') {
+    super(403, message);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(404, message);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message: string) {
+    super(409, message);
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(429, message);
+  }
+}
+
+/**
+ * A dependency (database, Firebase signing keys) is unreachable - the request may succeed on retry
+ */
+export class ServiceUnavailableError extends AppError {
+  constructor(message: string, options: { cause?: unknown } = {}) {
+    super(503, message, { ...options, expose: true });
+  }
+}
@@ -1,28 +1,129 @@
-import { createRemoteJWKSet, jwtVerify } from 'jose';
-import { isDevelopment, getEnv } from './env';
+import { decodeProtectedHeader, errors, jwtVerify, UnsecuredJWT, type JWTPayload, type JWTVerifyGetKey } from 'jose';
+import { getConfig } from './config';
+import { getCachedJWKS } from './jwks-cache';
+import { AuthenticationError, ServiceUnavailableError } from './errors';
 
-type FirebaseUser = {
+export type FirebaseUser = {
   id: string;
   email: string | undefined;
+  email_verified: boolean;
+  name: string | undefined;
+  picture: string | undefined;
+  sign_in_provider: string | undefined;
+  identities: Record<string, string[]>;
+  // Token `iat`, in seconds - a refreshed token has a new one
+  issued_at: number;
+  // Token `auth_time`, in seconds - when the user last signed in; refreshed tokens keep it
+  auth_time: number;
+  claims: JWTPayload;
 };
 
-const getJWKS = () => {
-  if (isDevelopment()) {
-    // Use emulator JWKS endpoint with dynamic port
-    const firebaseAuthHost = getEnv('FIREBASE_AUTH_EMULATOR_HOST') ?? 'localhost:5503';
-    const emulatorUrl = firebaseAuthHost.startsWith('http') 
-      ? firebaseAuthHost 
-      : `http://${firebaseAuthHost}`;
-    
-    return createRemoteJWKSet(
-      new URL(`${emulatorUrl}/www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com`)
-    );
-  } else {
-    // Use production Firebase JWKS
-    return createRemoteJWKSet(
-      new URL('https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com')
-    );
+type FirebaseClaim = {
+  sign_in_provider?: string;
+  identities?: Record<string, string[]>;
+};
+
+// Map verified token claims to the fields we care about, keeping the raw claims for custom ones
+const toFirebaseUser = (payload: JWTPayload): FirebaseUser => {
+  const firebase = (payload.firebase ?? {}) as FirebaseClaim;
+  const optionalString = (value: unknown) => (typeof value === 'string' && value ? value : undefined);
+
+  return {
+    id: payload.sub as string,
+    email: optionalString(payload.email),
+    email_verified: payload.email_verified === true,
+    name: optionalString(payload.name),
+    picture: optionalString(payload.picture),
+    sign_in_provider: optionalString(firebase.sign_in_provider),
+    identities: firebase.identities ?? {},
+    issued_at: payload.iat as number,
+    auth_time: payload.auth_time as number,
+    claims: payload,
+  };
+};
+
+export const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+// Allowed clock skew between us and the token issuer
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+/**
+ * JWKS endpoint the verifier uses: the emulator's when emulator mode is on, Google's otherwise
+ */
+export const getFirebaseJWKSUrl = (): string => {
+  if (getConfig().firebase.emulatorEnabled) {
+    // Emulator serves the same JWKS path under its own host (dynamic port)
+    return `${getConfig().firebase.emulatorUrl}/www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com`;
+  }
+  return FIREBASE_JWKS_URL;
+};
+
+// Keys are cached across requests (see jwks-cache.ts)
+const getJWKS = (): JWTVerifyGetKey => {
+  const resolveKey = getCachedJWKS(getFirebaseJWKSUrl());
+  return async (protectedHeader, token) => {
+    try {
+      return await resolveKey(protectedHeader, token);
+    } catch (error) {
+      // No matching key is the token's problem; anything else means the keys couldn't be loaded
+      if (error instanceof errors.JOSEError) {
+        throw error;
+      }
+      throw new ServiceUnavailableError('Could not load Firebase signing keys', { cause: error });
+    }
+  };
+};
+
+/**
+ * Firebase-specific claim checks on top of jose's iss/aud/exp validation
+ * See https://firebase.google.com/docs/auth/admin/verify-id-tokens#verify_id_tokens_using_a_third-party_jwt_library
+ */
+const assertFirebaseClaims = (payload: JWTPayload) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+    throw new AuthenticationError('Invalid sub claim');
+  }
+  if (typeof payload.exp !== 'number') {
+    throw new AuthenticationError('Missing exp claim');
+  }
+  if (typeof payload.iat !== 'number' || payload.iat > now + CLOCK_TOLERANCE_SECONDS) {
+    throw new AuthenticationError('Invalid iat claim');
+  }
+  if (typeof payload.auth_time !== 'number' || payload.auth_time > now + CLOCK_TOLERANCE_SECONDS) {
+    throw new AuthenticationError('Invalid auth_time claim');
+  }
+};
+
+/**
+ * The Firebase Auth emulator issues unsigned tokens (alg "none"), so in emulator mode - and only
+ * there - their claims are validated without a signature. Signed tokens are still verified
+ * against the emulator's JWKS endpoint.
+ */
+const verifyEmulatorToken = async (token: string, projectId: string): Promise<JWTPayload> => {
+  const options = {
+    issuer: `https://securetoken.google.com/${projectId}`,
+    audience: projectId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS,
+  };
+
+  const { alg } = decodeProtectedHeader(token);
+  if (alg === 'none') {
+    return UnsecuredJWT.decode(token, options).payload;
   }
+
+  const { payload } = await jwtVerify(token, getJWKS(), { ...options, algorithms: ['RS256'] });
+  return payload;
+};
+
+/**
+ * Failing to load the signing keys is ours (503); anything else is a bad token (401)
+ */
+const toVerificationError = (error: unknown, message: string) => {
+  if (error instanceof ServiceUnavailableError) {
+    return error;
+  }
+  return new AuthenticationError(message, { cause: error });
 };
 
 export async function verifyFirebaseToken(token: string, projectId: string): Promise<FirebaseUser> {
@@ -30,46 +131,37 @@ export async function verifyFirebaseToken(token: string, projectId: string): Pro
     throw new Error('FIREBASE_PROJECT_ID environment variable is not set');
   }
 
-  // In emulator mode, use simplified token verification
-  if (isDevelopment()) {
+  // Emulator mode is an explicit opt-in (see lib/config.ts)
+  if (getConfig().firebase.emulatorEnabled) {
     try {
-      // Decode the token without verification for emulator
-      const parts = token.split('.');
-      if (parts.length !== 3) {
-        throw new Error('Invalid token format');
-      }
-      
-      const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
-      
-      // Basic validation for emulator tokens
-      if (!payload.sub || !payload.aud || payload.aud !== projectId) {
-        throw new Error('Invalid token payload');
-      }
-      
-      return {
-        id: payload.sub as string,
-        email: payload.email as string | undefined,
-      };
+      const payload = await verifyEmulatorToken(token, projectId);
+      assertFirebaseClaims(payload);
+      return toFirebaseUser(payload);
     } catch (error) {
-      throw new Error('Invalid emulator token');
+      throw toVerificationError(error, 'Invalid emulator token');
     }
   }
 
   // Production token verification
   try {
+    // jwtVerify only allows RS256 anyway; refusing unsigned tokens up front keeps it explicit
+    if (decodeProtectedHeader(token).alg === 'none') {
+      throw new AuthenticationError('Unsigned tokens are only accepted in emulator mode');
+    }
+
     const JWKS = getJWKS();
     const issuer = `https://securetoken.google.com/${projectId}`;
 
     const { payload } = await jwtVerify(token, JWKS, {
       issuer,
       audience: projectId,
+      algorithms: ['RS256'],
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
     });
+    assertFirebaseClaims(payload);
 
-    return {
-      id: payload.sub as string,
-      email: payload.email as string | undefined,
-    };
+    return toFirebaseUser(payload);
   } catch (error) {
-    throw new Error('Invalid token');
+    throw toVerificationError(error, 'Invalid token');
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+/**
+ * Health and readiness checks
+ * Responses follow the IETF "Health Check Response Format for HTTP APIs" draft
+ * (application/health+json): https://datatracker.ietf.org/doc/html/draft-inadarei-api-health-check
+ */
+
+import { testDatabaseConnection, type DatabaseHandle } from './db';
+import { ConfigError, getConfig } from './config';
+import { getFirebaseJWKSUrl } from './firebase-auth';
+import { loadJWKS } from './jwks-cache';
+import { log } from './logger';
+
+export type HealthStatus = 'pass' | 'warn' | 'fail';
+
+export type HealthCheckResult = {
+  componentType: string;
+  status: HealthStatus;
+  observedValue?: number;
+  observedUnit?: string;
+  output?: string;
+  time: string;
+};
+
+export type HealthResponse = {
+  status: HealthStatus;
+  description: string;
+  output?: string;
+  checks?: Record<string, HealthCheckResult[]>;
+};
+
+type HealthCheck = {
+  componentType: string;
+  // Resolves with a warning or a fixed detail, throws on failure (the error is logged, not returned)
+  run: () => Promise<{ status?: HealthStatus; output?: string } | void>;
+};
+
+export const HEALTH_CONTENT_TYPE = 'application/health+json';
+
+const CHECK_TIMEOUT_MS = 3000;
+
+const withTimeout = <T>(promise: Promise<T>, ms: number): Promise<T> => {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Each check reports its own latency as observedValue, the draft's "responseTime" measurement.
+// The endpoints are public, so why a check failed (env var names, connection errors) is only logged.
+const runCheck = async (name: string, check: HealthCheck): Promise<HealthCheckResult> => {
+  const startedAt = Date.now();
+  let status: HealthStatus = 'pass';
+  let output: string | undefined;
+
+  try {
+    const result = await withTimeout(check.run(), CHECK_TIMEOUT_MS);
+    status = result?.status ?? 'pass';
+    output = result?.output;
+  } catch (error) {
+    status = 'fail';
+    log.error('Readiness check failed', { check: name, error });
+  }
+
+  return {
+    componentType: check.componentType,
+    status,
+    observedValue: Date.now() - startedAt,
+    observedUnit: 'ms',
+    ...(output ? { output } : {}),
+    time: new Date().toISOString(),
+  };
+};
+
+const worstStatus = (statuses: HealthStatus[]): HealthStatus => {
+  if (statuses.includes('fail')) return 'fail';
+  if (statuses.includes('warn')) return 'warn';
+  return 'pass';
+};
+
+/**
+ * Configuration problems that would break requests; empty when the config is usable
+ */
+export const getConfigProblems = (options: { hasDatabaseBinding?: boolean } = {}): string[] => {
+  let config;
+  try {
+    config = getConfig();
+  } catch (error) {
+    return error instanceof ConfigError ? error.problems : [String(error)];
+  }
+
+  const problems: string[] = [];
+  if (config.isProduction && !config.database.url && !options.hasDatabaseBinding) {
+    problems.push('DATABASE_URL is not set');
+  }
+
+  return problems;
+};
+
+// Set once a Node.js server starts shutting down (src/server.ts)
+let draining = false;
+
+/**
+ * Report this instance as not ready, so load balancers stop routing to it while it drains
+ */
+export const setDraining = () => {
+  draining = true;
+};
+
+/**
+ * Readiness: can this instance serve authenticated requests right now?
+ * The database is opened by the check itself, so a configuration that can't open one fails
+ * that check instead of the whole request.
+ */
+export const checkReadiness = async (options: {
+  openDatabase: () => DatabaseHandle;
+  hasDatabaseBinding?: boolean;
+}): Promise<HealthResponse> => {
+  if (draining) {
+    return { status: 'fail', description: 'API readiness', output: 'Shutting down' };
+  }
+
+  const checks: Record<string, HealthCheck> = {
+    'database:responseTime': {
+      componentType: 'datastore',
+      run: async () => {
+        const { db, close } = options.openDatabase();
+        try {
+          if (!await testDatabaseConnection(db)) {
+            throw new Error('Database query failed');
+          }
+        } finally {
+          await close();
+        }
+      },
+    },
+    'firebase-jwks:responseTime': {
+      componentType: 'component',
+      run: async () => {
+        const { jwks, stale } = await loadJWKS(getFirebaseJWKSUrl());
+        if (stale) {
+          return { status: 'warn', output: 'Key refresh failed, verifying with cached keys' };
+        }
+        return { output: `${jwks.keys.length} signing key(s)` };
+      },
+    },
+    'config:validity': {
+      componentType: 'system',
+      run: async () => {
+        const problems = getConfigProblems(options);
+        if (problems.length > 0) {
+          throw new Error(problems.join('; '));
+        }
+      },
+    },
+  };
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map((name) => runCheck(name, checks[name])));
+
+  return {
+    status: worstStatus(results.map((result) => result.status)),
+    description: 'API readiness',
+    checks: Object.fromEntries(names.map((name, i) => [name, [results[i]]])),
+  };
+};
+
+/**
+ * HTTP status for a health response: 503 when failing, 200 otherwise (warn still serves traffic)
+ */
+export const healthHttpStatus = (health: HealthResponse) => (health.status === 'fail' ? 503 : 200);
@@ -0,0 +1,236 @@
+/**
+ * Shared JWKS cache for Firebase token verification
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Keys are cached per isolate/process and honour the Cache-Control max-age Google sends.
+ * On Workers an optional persistent store (Cache API or KV) lets cold isolates reuse
+ * keys another isolate already fetched instead of going to the network.
+ */
+
+import { createLocalJWKSet, errors, type JSONWebKeySet, type JWTVerifyGetKey } from 'jose';
+import { log } from './logger';
+
+type CachedJWKS = {
+  jwks: JSONWebKeySet;
+  fetchedAt: number;
+  expiresAt: number;
+};
+
+type CacheEntry = CachedJWKS & {
+  resolve: ReturnType<typeof createLocalJWKSet>;
+  // Set when the last refresh failed and expired keys are being reused
+  stale?: boolean;
+};
+
+/**
+ * Persistent store shared across isolates
+ */
+export interface JWKSStore {
+  get(url: string): Promise<CachedJWKS | null>;
+  put(url: string, value: CachedJWKS): Promise<void>;
+}
+
+// Used when the response has no usable Cache-Control header
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60;
+
+// Minimum time between forced refetches for unknown `kid`s, so forged tokens can't hammer Google
+const UNKNOWN_KID_REFETCH_COOLDOWN_MS = 30 * 1000;
+
+// How long stale keys are reused after a failed refresh before trying the network again
+const STALE_RETRY_MS = 30 * 1000;
+
+const FETCH_TIMEOUT_MS = 5000;
+
+const memoryCache = new Map<string, CacheEntry>();
+const inflight = new Map<string, Promise<CacheEntry>>();
+let store: JWKSStore | null = null;
+
+const metrics = {
+  memoryHits: 0,
+  storeHits: 0,
+  misses: 0,
+  unknownKidRefetches: 0,
+  fetchErrors: 0,
+  staleServed: 0,
+};
+
+export type JWKSMetrics = typeof metrics;
+
+/**
+ * Counters since this isolate/process started
+ */
+export function getJWKSMetrics(): JWKSMetrics {
+  return { ...metrics };
+}
+
+/**
+ * Configure the persistent store (pass null to use the in-memory cache only)
+ */
+export function setJWKSStore(jwksStore: JWKSStore | null) {
+  store = jwksStore;
+}
+
+export function clearJWKSCache() {
+  memoryCache.clear();
+  inflight.clear();
+}
+
+const parseMaxAge = (cacheControl: string | null): number => {
+  const match = cacheControl?.match(/max-age=(\d+)/);
+  return match ? parseInt(match[1]) : DEFAULT_MAX_AGE_SECONDS;
+};
+
+const toEntry = (cached: CachedJWKS): CacheEntry => ({
+  ...cached,
+  resolve: createLocalJWKSet(cached.jwks),
+});
+
+const fetchJWKS = async (url: string): Promise<CachedJWKS> => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+
+  const jwks = await response.json() as JSONWebKeySet;
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('JWKS response is not a key set');
+  }
+
+  const fetchedAt = Date.now();
+  return {
+    jwks,
+    fetchedAt,
+    expiresAt: fetchedAt + parseMaxAge(response.headers.get('Cache-Control')) * 1000,
+  };
+};
+
+const loadEntry = async (url: string, skipStore: boolean): Promise<CacheEntry> => {
+  if (store && !skipStore) {
+    try {
+      const stored = await store.get(url);
+      if (stored && stored.expiresAt > Date.now()) {
+        metrics.storeHits++;
+        return toEntry(stored);
+      }
+    } catch (error) {
+      log.warn('JWKS store read failed', { error });
+    }
+  }
+
+  metrics.misses++;
+  try {
+    const fetched = await fetchJWKS(url);
+    if (store) {
+      await store.put(url, fetched).catch((error) => log.warn('JWKS store write failed', { error }));
+    }
+    return toEntry(fetched);
+  } catch (error) {
+    metrics.fetchErrors++;
+    // Keep verifying with expired keys rather than failing every request during an outage
+    const stale = memoryCache.get(url);
+    if (stale) {
+      metrics.staleServed++;
+      log.warn('JWKS refresh failed, using stale keys', { error, url });
+      return { ...stale, expiresAt: Date.now() + STALE_RETRY_MS, stale: true };
+    }
+    throw error;
+  }
+};
+
+const getEntry = async (url: string, options: { force?: boolean } = {}): Promise<CacheEntry> => {
+  const cached = memoryCache.get(url);
+  if (cached && !options.force && cached.expiresAt > Date.now()) {
+    metrics.memoryHits++;
+    return cached;
+  }
+
+  // Concurrent requests share one fetch
+  const pending = inflight.get(url);
+  if (pending) {
+    return pending;
+  }
+
+  const promise = loadEntry(url, !!options.force)
+    .then((entry) => {
+      memoryCache.set(url, entry);
+      return entry;
+    })
+    .finally(() => inflight.delete(url));
+
+  inflight.set(url, promise);
+  return promise;
+};
+
+/**
+ * Key resolver for jose's jwtVerify backed by the shared cache
+ * An unknown `kid` triggers one refetch, which picks up rotated keys before max-age expires
+ */
+export function getCachedJWKS(url: string): JWTVerifyGetKey {
+  return async (protectedHeader, token) => {
+    const entry = await getEntry(url);
+
+    try {
+      return await entry.resolve(protectedHeader, token);
+    } catch (error) {
+      const canRefetch = Date.now() - entry.fetchedAt > UNKNOWN_KID_REFETCH_COOLDOWN_MS;
+      if (!(error instanceof errors.JWKSNoMatchingKey) || !canRefetch) {
+        throw error;
+      }
+
+      metrics.unknownKidRefetches++;
+      const refreshed = await getEntry(url, { force: true });
+      return refreshed.resolve(protectedHeader, token);
+    }
+  };
+}
+
+/**
+ * Current key set for `url`, from the cache when fresh and fetched otherwise
+ * `stale` is true when the keys are being reused because a refresh failed
+ */
+export async function loadJWKS(url: string): Promise<{ jwks: JSONWebKeySet; fetchedAt: number; stale: boolean }> {
+  const entry = await getEntry(url);
+  return { jwks: entry.jwks, fetchedAt: entry.fetchedAt, stale: !!entry.stale };
+}
+
+/**
+ * Store backed by the Workers Cache API (per data center, no binding needed)
+ */
+export function createCacheApiStore(cache: Cache): JWKSStore {
+  // The Cache API is keyed by request URL; use a private namespace so we never collide with real responses
+  const cacheKey = (url: string) => `https://jwks-cache.internal/${encodeURIComponent(url)}`;
+
+  return {
+    async get(url) {
+      const response = await cache.match(cacheKey(url));
+      return response ? await response.json() as CachedJWKS : null;
+    },
+    async put(url, value) {
+      const ttlSeconds = Math.max(1, Math.floor((value.expiresAt - Date.now()) / 1000));
+      await cache.put(cacheKey(url), new Response(JSON.stringify(value), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${ttlSeconds}`,
+        },
+      }));
+    },
+  };
+}
+
+/**
+ * Store backed by a Workers KV namespace (global, eventually consistent)
+ */
+export function createKVStore(kv: KVNamespace): JWKSStore {
+  const key = (url: string) => `jwks:${url}`;
+
+  return {
+    async get(url) {
+      return await kv.get<CachedJWKS>(key(url), 'json');
+    },
+    async put(url, value) {
+      // KV requires a TTL of at least 60 seconds
+      const ttlSeconds = Math.max(60, Math.floor((value.expiresAt - Date.now()) / 1000));
+      await kv.put(key(url), JSON.stringify(value), { expirationTtl: ttlSeconds });
+    },
+  };
+}
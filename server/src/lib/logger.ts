@@ -0,0 +1,59 @@
+/**
+ * Structured JSON logging
+ * One JSON object per line, tagged with the current request's ID so a user's report can be traced
+ * through the logs. Works with Workers Logs / Logpush and any Node.js log shipper.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+type LogLevel = 'info' | 'warn' | 'error';
+type LogFields = Record<string, unknown>;
+
+const logContext = new AsyncLocalStorage<LogFields>();
+
+/**
+ * Run `fn` with `fields` (e.g. request_id) added to every log line written inside it
+ */
+export function withLogContext<T>(fields: LogFields, fn: () => T): T {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Errors don't survive JSON.stringify, so keep the parts that help debugging
+const serializeError = (error: unknown): unknown => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...('cause' in error && error.cause !== undefined ? { cause: serializeError(error.cause) } : {}),
+  };
+};
+
+const write = (level: LogLevel, message: string, fields: LogFields = {}) => {
+  const entry: LogFields = {
+    level,
+    time: new Date().toISOString(),
+    msg: message,
+    ...logContext.getStore(),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = key === 'error' ? serializeError(value) : value;
+  }
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+};
+
+export const log = {
+  info: (message: string, fields?: LogFields) => write('info', message, fields),
+  warn: (message: string, fields?: LogFields) => write('warn', message, fields),
+  error: (message: string, fields?: LogFields) => write('error', message, fields),
+};
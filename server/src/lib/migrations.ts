@@ -0,0 +1,416 @@
+/**
+ * Versioned SQL migration runner for the `app` schema
+ * Node.js only - reads migration files from disk, so never import this from api.ts
+ *
+ * Migrations live in server/drizzle as `NNNN_name.sql` with an optional
+ * `NNNN_name.down.sql` rollback. Each one runs in its own transaction and is
+ * recorded in the app.schema_migrations ledger.
+ */
+
+import postgres from 'postgres';
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { is } from 'drizzle-orm';
+import { PgTable, getTableConfig } from 'drizzle-orm/pg-core';
+
+type Sql = postgres.Sql;
+
+export const LEDGER_SCHEMA = 'app';
+export const LEDGER_TABLE = 'schema_migrations';
+
+// Serializes concurrent runners (e.g. two deploys) across all connections
+const MIGRATION_LOCK_KEY = 'volo-app:migrations';
+
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([\w-]+)\.sql$/;
+
+export type Migration = {
+  id: string;
+  name: string;
+  upSql: string;
+  downSql: string | null;
+  checksum: string;
+};
+
+export type MigrationStatus = Migration & {
+  applied: boolean;
+  appliedAt: Date | null;
+  checksumMismatch: boolean;
+};
+
+export type SchemaDrift = {
+  kind: 'missing_table' | 'extra_table' | 'missing_column' | 'extra_column' | 'type_mismatch' | 'nullability_mismatch';
+  table: string;
+  column?: string;
+  expected?: string;
+  actual?: string;
+};
+
+type LedgerRow = {
+  id: string;
+  checksum: string;
+  applied_at: Date;
+};
+
+class DryRunRollback extends Error {}
+
+const checksum = (content: string): string => {
+  return createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+};
+
+/**
+ * Create a dedicated postgres-js client for migrations
+ * Neon and Supabase both accept TCP connections, so one driver covers every provider
+ * and gives us real transactions (neon-http cannot run multi-statement transactions)
+ */
+export function createMigrationClient(connectionString: string): Sql {
+  return postgres(connectionString, {
+    prepare: false,
+    max: 1,
+    connect_timeout: 10,
+    onnotice: () => {}, // Silence "already exists, skipping" notices
+  });
+}
+
+/**
+ * Load migrations from disk, ordered by their numeric prefix
+ */
+export async function loadMigrations(migrationsDir: string): Promise<Migration[]> {
+  const files = (await readdir(migrationsDir)).sort();
+  const migrations: Migration[] = [];
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match || file.endsWith('.down.sql')) continue;
+
+    const id = `${match[1]}_${match[2]}`;
+    const upSql = await readFile(path.join(migrationsDir, file), 'utf-8');
+    const downPath = path.join(migrationsDir, `${id}.down.sql`);
+    const downSql = existsSync(downPath) ? await readFile(downPath, 'utf-8') : null;
+
+    if (migrations.some((m) => m.id.slice(0, 4) === match[1])) {
+      throw new Error(`Duplicate migration number ${match[1]} (${file})`);
+    }
+
+    migrations.push({ id, name: match[2], upSql, downSql, checksum: checksum(upSql) });
+  }
+
+  return migrations;
+}
+
+async function ensureLedger(sql: Sql): Promise<void> {
+  await sql`CREATE SCHEMA IF NOT EXISTS ${sql(LEDGER_SCHEMA)}`;
+  await sql`
+    CREATE TABLE IF NOT EXISTS ${sql(LEDGER_SCHEMA)}.${sql(LEDGER_TABLE)} (
+      id text PRIMARY KEY,
+      checksum text NOT NULL,
+      execution_ms integer NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `;
+}
+
+async function readLedger(sql: Sql): Promise<Map<string, LedgerRow>> {
+  const rows = await sql<LedgerRow[]>`
+    SELECT id, checksum, applied_at FROM ${sql(LEDGER_SCHEMA)}.${sql(LEDGER_TABLE)} ORDER BY id
+  `;
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+/**
+ * Compare migrations on disk with the ledger
+ */
+export async function getMigrationStatus(sql: Sql, migrations: Migration[]): Promise<MigrationStatus[]> {
+  await ensureLedger(sql);
+  const ledger = await readLedger(sql);
+
+  return migrations.map((migration) => {
+    const row = ledger.get(migration.id);
+    return {
+      ...migration,
+      applied: !!row,
+      appliedAt: row?.applied_at ?? null,
+      checksumMismatch: !!row && row.checksum !== migration.checksum,
+    };
+  });
+}
+
+/**
+ * Applied migrations recorded in the ledger that no longer exist on disk
+ */
+export async function getUnknownAppliedMigrations(sql: Sql, migrations: Migration[]): Promise<string[]> {
+  await ensureLedger(sql);
+  const ledger = await readLedger(sql);
+  const known = new Set(migrations.map((m) => m.id));
+  return [...ledger.keys()].filter((id) => !known.has(id));
+}
+
+const lockMigrations = (tx: postgres.TransactionSql) => {
+  return tx`SELECT pg_advisory_xact_lock(hashtext(${MIGRATION_LOCK_KEY}))`;
+};
+
+/**
+ * Apply pending migrations, each in its own transaction
+ * With dryRun, everything runs in a single transaction that is rolled back after
+ * diffing the resulting schema against src/schema/*
+ */
+export async function migrateUp(
+  sql: Sql,
+  migrations: Migration[],
+  options: { to?: string; dryRun?: boolean; schemaDir?: string } = {}
+): Promise<{ applied: Migration[]; drift: SchemaDrift[] | null }> {
+  const statuses = await getMigrationStatus(sql, migrations);
+
+  const mismatched = statuses.filter((s) => s.checksumMismatch);
+  if (mismatched.length > 0) {
+    throw new Error(
+      `Applied migrations were modified after being run: ${mismatched.map((s) => s.id).join(', ')}. ` +
+      'Add a new migration instead of editing an applied one.'
+    );
+  }
+
+  let pending = statuses.filter((s) => !s.applied);
+  if (options.to) {
+    const target = migrations.find((m) => m.id === options.to || m.id.slice(0, 4) === options.to);
+    if (!target) {
+      throw new Error(`Unknown migration: ${options.to}`);
+    }
+    pending = pending.filter((m) => m.id <= target.id);
+  }
+
+  if (options.dryRun) {
+    let drift: SchemaDrift[] | null = null;
+    try {
+      await sql.begin(async (tx) => {
+        await lockMigrations(tx);
+        for (const migration of pending) {
+          await tx.unsafe(migration.upSql).simple();
+        }
+        if (options.schemaDir) {
+          drift = await diffSchema(tx, options.schemaDir);
+        }
+        throw new DryRunRollback();
+      });
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) throw error;
+    }
+    return { applied: pending, drift };
+  }
+
+  const applied: Migration[] = [];
+  for (const migration of pending) {
+    const wasApplied = await sql.begin(async (tx) => {
+      await lockMigrations(tx);
+
+      // Another runner may have applied it while we waited for the lock
+      const [existing] = await tx`
+        SELECT id FROM ${tx(LEDGER_SCHEMA)}.${tx(LEDGER_TABLE)} WHERE id = ${migration.id}
+      `;
+      if (existing) return false;
+
+      const startedAt = Date.now();
+      await tx.unsafe(migration.upSql).simple();
+      await tx`
+        INSERT INTO ${tx(LEDGER_SCHEMA)}.${tx(LEDGER_TABLE)} (id, checksum, execution_ms)
+        VALUES (${migration.id}, ${migration.checksum}, ${Date.now() - startedAt})
+      `;
+      return true;
+    });
+
+    if (wasApplied) applied.push(migration);
+  }
+
+  return { applied, drift: null };
+}
+
+/**
+ * Roll back the most recently applied migrations using their .down.sql files
+ * Each runs in its own transaction, skipped when another runner already rolled it back.
+ */
+export async function migrateDown(
+  sql: Sql,
+  migrations: Migration[],
+  options: { steps?: number; dryRun?: boolean } = {}
+): Promise<Migration[]> {
+  const steps = options.steps ?? 1;
+  const statuses = await getMigrationStatus(sql, migrations);
+  const targets = statuses.filter((s) => s.applied).reverse().slice(0, steps);
+
+  const missingDown = targets.filter((m) => m.downSql === null);
+  if (missingDown.length > 0) {
+    throw new Error(`No .down.sql file for: ${missingDown.map((m) => m.id).join(', ')}`);
+  }
+
+  if (options.dryRun) {
+    return targets;
+  }
+
+  const rolledBack: Migration[] = [];
+  for (const migration of targets) {
+    const wasRolledBack = await sql.begin(async (tx) => {
+      await lockMigrations(tx);
+
+      // Another runner may have rolled it back, or applied newer ones, while we waited for the lock
+      const rows = await tx<{ id: string }[]>`
+        SELECT id FROM ${tx(LEDGER_SCHEMA)}.${tx(LEDGER_TABLE)} WHERE id >= ${migration.id}
+      `;
+      if (!rows.some((row) => row.id === migration.id)) return false;
+      const newer = rows.filter((row) => row.id !== migration.id && migrations.some((m) => m.id === row.id));
+      if (newer.length > 0) {
+        throw new Error(`Migrations applied after ${migration.id} while waiting to roll it back: ${newer.map((row) => row.id).join(', ')}`);
+      }
+
+      await tx.unsafe(migration.downSql!).simple();
+      await tx`DELETE FROM ${tx(LEDGER_SCHEMA)}.${tx(LEDGER_TABLE)} WHERE id = ${migration.id}`;
+      return true;
+    });
+
+    if (wasRolledBack) rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Normalize drizzle SQL types and information_schema types to comparable names
+ */
+const normalizeType = (type: string): string => {
+  const base = type.toLowerCase().replace(/\s*\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+  const isArray = base.endsWith('[]');
+  const name = isArray ? base.slice(0, -2) : base;
+
+  const aliases: Record<string, string> = {
+    timestamp: 'timestamp without time zone',
+    timestamptz: 'timestamp with time zone',
+    time: 'time without time zone',
+    timetz: 'time with time zone',
+    serial: 'integer',
+    smallserial: 'smallint',
+    bigserial: 'bigint',
+    int: 'integer',
+    int2: 'smallint',
+    int4: 'integer',
+    int8: 'bigint',
+    float4: 'real',
+    float8: 'double precision',
+    bool: 'boolean',
+    varchar: 'character varying',
+    char: 'character',
+    bpchar: 'character',
+    decimal: 'numeric',
+  };
+
+  const normalized = aliases[name] ?? name;
+  return isArray ? `${normalized}[]` : normalized;
+};
+
+type DatabaseColumn = {
+  table_schema: string;
+  table_name: string;
+  column_name: string;
+  data_type: string;
+  udt_name: string;
+  is_nullable: 'YES' | 'NO';
+};
+
+const describeDatabaseType = (column: DatabaseColumn): string => {
+  if (column.data_type === 'ARRAY') return `${column.udt_name.replace(/^_/, '')}[]`;
+  if (column.data_type === 'USER-DEFINED') return column.udt_name;
+  return column.data_type;
+};
+
+/**
+ * Load every drizzle table exported from the schema directory
+ */
+async function loadSchemaTables(schemaDir: string): Promise<PgTable[]> {
+  const files = (await readdir(schemaDir)).filter((f) => /\.(ts|js|mjs)$/.test(f) && !f.endsWith('.d.ts'));
+  const tables = new Set<PgTable>();
+
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(schemaDir, file)).href);
+    for (const value of Object.values(mod)) {
+      if (is(value, PgTable)) tables.add(value);
+    }
+  }
+
+  return [...tables];
+}
+
+/**
+ * Diff the live database against the drizzle definitions in src/schema/*
+ */
+export async function diffSchema(sql: Sql | postgres.TransactionSql, schemaDir: string): Promise<SchemaDrift[]> {
+  const tables = (await loadSchemaTables(schemaDir)).map((table) => getTableConfig(table));
+  const schemas = [...new Set([LEDGER_SCHEMA, ...tables.map((t) => t.schema ?? 'public')])];
+
+  const rows = await sql<DatabaseColumn[]>`
+    SELECT table_schema, table_name, column_name, data_type, udt_name, is_nullable
+    FROM information_schema.columns
+    WHERE table_schema IN ${sql(schemas)}
+    ORDER BY table_schema, table_name, ordinal_position
+  `;
+
+  const actual = new Map<string, Map<string, DatabaseColumn>>();
+  for (const row of rows) {
+    const key = `${row.table_schema}.${row.table_name}`;
+    if (!actual.has(key)) actual.set(key, new Map());
+    actual.get(key)!.set(row.column_name, row);
+  }
+
+  const drift: SchemaDrift[] = [];
+  const expectedTables = new Set<string>();
+
+  for (const table of tables) {
+    const key = `${table.schema ?? 'public'}.${table.name}`;
+    expectedTables.add(key);
+
+    const actualColumns = actual.get(key);
+    if (!actualColumns) {
+      drift.push({ kind: 'missing_table', table: key });
+      continue;
+    }
+
+    for (const column of table.columns) {
+      const actualColumn = actualColumns.get(column.name);
+      if (!actualColumn) {
+        drift.push({ kind: 'missing_column', table: key, column: column.name, expected: column.getSQLType() });
+        continue;
+      }
+
+      const expectedType = normalizeType(column.getSQLType());
+      const actualType = normalizeType(describeDatabaseType(actualColumn));
+      if (expectedType !== actualType) {
+        drift.push({ kind: 'type_mismatch', table: key, column: column.name, expected: expectedType, actual: actualType });
+      }
+
+      const actualNotNull = actualColumn.is_nullable === 'NO';
+      if (column.notNull !== actualNotNull) {
+        drift.push({
+          kind: 'nullability_mismatch',
+          table: key,
+          column: column.name,
+          expected: column.notNull ? 'NOT NULL' : 'NULL',
+          actual: actualNotNull ? 'NOT NULL' : 'NULL',
+        });
+      }
+    }
+
+    const expectedColumns = new Set(table.columns.map((c) => c.name));
+    for (const name of actualColumns.keys()) {
+      if (!expectedColumns.has(name)) {
+        drift.push({ kind: 'extra_column', table: key, column: name });
+      }
+    }
+  }
+
+  const ledgerKey = `${LEDGER_SCHEMA}.${LEDGER_TABLE}`;
+  for (const key of actual.keys()) {
+    if (!expectedTables.has(key) && key !== ledgerKey) {
+      drift.push({ kind: 'extra_table', table: key });
+    }
+  }
+
+  return drift;
+}
@@ -0,0 +1,60 @@
+/**
+ * Problem details (RFC 9457) - the single error format for every API error
+ * https://www.rfc-editor.org/rfc/rfc9457
+ */
+
+import type { Context } from 'hono';
+import type { ContentfulStatusCode } from 'hono/utils/http-status';
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Field path -> messages, e.g. { display_name: ['Must be at most 100 characters'] }
+export type FieldErrors = Record<string, string[]>;
+
+export type ProblemDetails = {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  errors?: FieldErrors;
+  // X-Request-Id of the failed request, for matching a user's report to the server logs
+  request_id?: string;
+};
+
+const STATUS_TITLES: Partial<Record<number, string>> = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+/**
+ * Respond with application/problem+json
+ * `type` defaults to about:blank, which per the RFC means the title is the HTTP status phrase;
+ * `detail` carries the human-readable explanation for this occurrence.
+ */
+export const problem = <S extends ContentfulStatusCode>(
+  c: Context,
+  status: S,
+  detail?: string,
+  options: { errors?: FieldErrors; type?: string; title?: string } = {}
+) => {
+  const body: ProblemDetails = {
+    type: options.type ?? 'about:blank',
+    title: options.title ?? STATUS_TITLES[status] ?? 'Error',
+    status,
+    ...(detail ? { detail } : {}),
+    instance: c.req.path,
+    ...(options.errors ? { errors: options.errors } : {}),
+    ...(c.get('requestId') ? { request_id: c.get('requestId') } : {}),
+  };
+
+  return c.json(body, status, { 'Content-Type': PROBLEM_CONTENT_TYPE });
+};
@@ -0,0 +1,491 @@
+/**
+ * Durable background jobs with retries
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Handlers enqueue work with `c.get('jobs').enqueue('send-welcome', payload)` and return. On
+ * Node.js jobs wait in app.queued_jobs until the worker started by server.ts (or `pnpm jobs:work`)
+ * takes them with FOR UPDATE SKIP LOCKED, so any number of processes can share the table. On
+ * Workers they go through the Cloudflare Queue bound as JOB_QUEUE and run in the `queue` handler
+ * in api.ts; each one still gets a row in app.queued_jobs for its idempotency key and outcome.
+ *
+ * Failed jobs are retried with exponential backoff. A job out of attempts, or one that throws
+ * PermanentJobError, is dead-lettered: kept with status 'dead' until retried from the admin routes.
+ */
+
+import { and, asc, desc, eq, inArray, lt, lte, or, sql } from 'drizzle-orm';
+import { z } from 'zod';
+import type { Database } from './db';
+import { EmailError, getEmailProvider } from './email';
+import { log } from './logger';
+import { queuedJobs, type QueuedJob, type QueuedJobStatus } from '../schema/queue';
+
+export type JobContext = {
+  db: Database;
+  jobId: number;
+  // 1 on the first run
+  attempt: number;
+};
+
+type QueueJobDefinition<T extends z.ZodTypeAny> = {
+  // Checked when the job is enqueued and again before it runs
+  payload: T;
+  handle: (payload: z.output<T>, context: JobContext) => Promise<void>;
+  maxAttempts?: number;
+};
+
+// What the runner sees of any job: a payload parsed by the schema is what its handler takes
+type AnyQueueJobDefinition = Omit<QueueJobDefinition<z.ZodTypeAny>, 'handle'> & {
+  handle: (payload: any, context: JobContext) => Promise<void>;
+};
+
+const defineJob = <T extends z.ZodTypeAny>(definition: QueueJobDefinition<T>) => definition;
+
+/**
+ * Thrown by a handler when retrying can't help (bad payload, deleted record); the job is dead-lettered
+ */
+export class PermanentJobError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Every job that can be enqueued, by name
+ */
+export const QUEUE_JOBS = {
+  // Enqueued by authMiddleware when a user first signs in with an email address, if email is set up
+  'send-welcome': defineJob({
+    payload: z.object({
+      user_id: z.string(),
+      email: z.string(),
+      display_name: z.string().nullable(),
+    }),
+    handle: async (payload) => {
+      const provider = getEmailProvider();
+      if (!provider) {
+        throw new PermanentJobError('Email is not configured (RESEND_API_KEY and EMAIL_FROM)');
+      }
+      try {
+        await provider.send({
+          to: payload.email,
+          subject: 'Welcome',
+          text: `Hi ${payload.display_name ?? 'there'},\n\nThanks for signing up - your account is ready.\n`,
+          idempotencyKey: `send-welcome/${payload.user_id}`,
+        });
+      } catch (error) {
+        if (error instanceof EmailError && !error.retryable) {
+          throw new PermanentJobError(error.message);
+        }
+        throw error;
+      }
+    },
+  }),
+};
+
+export type QueueJobName = keyof typeof QUEUE_JOBS;
+
+export const isQueueJobName = (name: string): name is QueueJobName => {
+  return Object.prototype.hasOwnProperty.call(QUEUE_JOBS, name);
+};
+export type QueueJobPayload<N extends QueueJobName> = z.input<typeof QUEUE_JOBS[N]['payload']>;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 10;
+const RETRY_MAX_SECONDS = 60 * 60;
+// A job still running after this is presumed lost with its worker and run again
+const JOB_TIMEOUT_SECONDS = 15 * 60;
+
+const SUCCEEDED_RETENTION_DAYS = 7;
+const DEAD_RETENTION_DAYS = 30;
+
+/**
+ * Seconds to wait before retrying after the given attempt: doubling from RETRY_BASE_SECONDS up to
+ * RETRY_MAX_SECONDS, with jitter so jobs that failed together don't retry together
+ */
+export function retryDelaySeconds(attempt: number): number {
+  const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+  return Math.ceil(delay * (0.5 + Math.random() / 2));
+}
+
+export type EnqueueOptions = {
+  // A second job with the same name and key is not enqueued while the first one is kept
+  idempotencyKey?: string;
+  delaySeconds?: number;
+  maxAttempts?: number;
+};
+
+export type EnqueueResult = {
+  id: number;
+  // Another job already had this idempotency key; nothing was enqueued
+  duplicate: boolean;
+};
+
+export interface JobQueue {
+  enqueue<N extends QueueJobName>(name: N, payload: QueueJobPayload<N>, options?: EnqueueOptions): Promise<EnqueueResult>;
+  // Put a dead job back on the queue with its attempts reset; false if it isn't dead (any more)
+  retry(job: QueuedJob): Promise<boolean>;
+}
+
+// Body of a Cloudflare Queues message
+export type QueueMessage = {
+  id: number;
+  name: string;
+  payload: unknown;
+  maxAttempts: number;
+};
+
+const secondsFromNow = (seconds: number) => sql`now() + ${seconds} * interval '1 second'`;
+
+// Revive a dead job, unless a concurrent retry got there first
+const reviveJob = async (db: Database, job: QueuedJob, status: QueuedJobStatus): Promise<boolean> => {
+  const revived = await db.update(queuedJobs)
+    .set({ status, attempts: 0, run_at: sql`now()`, finished_at: null })
+    .where(and(eq(queuedJobs.id, job.id), eq(queuedJobs.status, 'dead')))
+    .returning();
+  return revived.length > 0;
+};
+
+const formatIssues = (error: z.ZodError) => {
+  return error.issues.map((issue) => `${issue.path.join('.') || 'payload'} ${issue.message}`).join(', ');
+};
+
+const errorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error));
+
+// Record the job, or find the one that already has its idempotency key
+const insertJob = async (
+  db: Database,
+  name: QueueJobName,
+  payload: unknown,
+  options: EnqueueOptions,
+  status: QueuedJobStatus
+): Promise<{ job: QueuedJob; duplicate: boolean }> => {
+  const definition = QUEUE_JOBS[name];
+  const parsed = definition.payload.safeParse(payload);
+  if (!parsed.success) {
+    throw new Error(`Invalid payload for job "${name}": ${formatIssues(parsed.error)}`);
+  }
+
+  const [job] = await db.insert(queuedJobs)
+    .values({
+      name,
+      payload: parsed.data,
+      status,
+      idempotency_key: options.idempotencyKey ?? null,
+      max_attempts: options.maxAttempts ?? definition.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+      ...(options.delaySeconds ? { run_at: secondsFromNow(options.delaySeconds) } : {}),
+    })
+    .onConflictDoNothing({ target: [queuedJobs.name, queuedJobs.idempotency_key] })
+    .returning();
+  if (job) {
+    return { job, duplicate: false };
+  }
+
+  const [existing] = await db.select()
+    .from(queuedJobs)
+    .where(and(eq(queuedJobs.name, name), eq(queuedJobs.idempotency_key, options.idempotencyKey!)))
+    .limit(1);
+  if (!existing) {
+    throw new Error(`Job "${name}" with idempotency key "${options.idempotencyKey}" was deleted while enqueuing`);
+  }
+  return { job: existing, duplicate: true };
+};
+
+/**
+ * Queue in app.queued_jobs, run by runQueueWorker (Node.js)
+ */
+export function createPostgresQueue(db: Database): JobQueue {
+  return {
+    async enqueue(name, payload, options = {}) {
+      const { job, duplicate } = await insertJob(db, name, payload, options, 'pending');
+      return { id: job.id, duplicate };
+    },
+
+    retry: (job) => reviveJob(db, job, 'pending'),
+  };
+}
+
+/**
+ * Queue delivered by Cloudflare Queues, run by the `queue` handler in api.ts (Workers)
+ * Delivery is at least once, so handlers must tolerate running twice.
+ */
+export function createCloudflareQueue(db: Database, queue: Queue<QueueMessage>): JobQueue {
+  const send = (job: QueuedJob, delaySeconds?: number) => queue.send(
+    { id: job.id, name: job.name, payload: job.payload, maxAttempts: job.max_attempts },
+    { delaySeconds }
+  );
+
+  return {
+    async enqueue(name, payload, options = {}) {
+      const { job, duplicate } = await insertJob(db, name, payload, options, 'queued');
+      if (!duplicate) {
+        try {
+          await send(job, options.delaySeconds);
+        } catch (error) {
+          // Free the idempotency key so the caller can try again
+          await db.delete(queuedJobs).where(eq(queuedJobs.id, job.id));
+          throw error;
+        }
+      }
+      return { id: job.id, duplicate };
+    },
+
+    async retry(job) {
+      if (!await reviveJob(db, job, 'queued')) {
+        return false;
+      }
+      await send(job);
+      return true;
+    },
+  };
+}
+
+/**
+ * Queue for a Worker without a JOB_QUEUE binding: nothing would run the jobs, so enqueueing fails
+ */
+export function createUnavailableQueue(): JobQueue {
+  const fail = async (): Promise<never> => {
+    throw new Error('Enqueueing jobs on Workers needs a JOB_QUEUE Cloudflare Queue binding (see wrangler.toml.template)');
+  };
+  return { enqueue: fail, retry: fail };
+}
+
+// Run the job's handler, throwing PermanentJobError for jobs no handler can run
+const runHandler = async (db: Database, job: Pick<QueuedJob, 'id' | 'name' | 'payload' | 'attempts'>) => {
+  const definition: AnyQueueJobDefinition | undefined = isQueueJobName(job.name) ? QUEUE_JOBS[job.name] : undefined;
+  if (!definition) {
+    throw new PermanentJobError(`No handler for job "${job.name}"`);
+  }
+  const payload = definition.payload.safeParse(job.payload);
+  if (!payload.success) {
+    throw new PermanentJobError(`Invalid payload: ${formatIssues(payload.error)}`);
+  }
+  await definition.handle(payload.data, { db, jobId: job.id, attempt: job.attempts });
+};
+
+const isDead = (error: unknown, attempts: number, maxAttempts: number) => {
+  return error instanceof PermanentJobError || attempts >= maxAttempts;
+};
+
+const logFailure = (job: Pick<QueuedJob, 'id' | 'name' | 'attempts'>, dead: boolean, error: unknown) => {
+  if (dead) {
+    log.error('Job dead-lettered', { job: job.name, job_id: job.id, attempts: job.attempts, error });
+  } else {
+    log.warn('Job failed, will retry', { job: job.name, job_id: job.id, attempts: job.attempts, error });
+  }
+};
+
+// Matches the run that took the job; a run whose lease expired and was taken over no longer does
+const isCurrentRun = (job: QueuedJob) => and(
+  eq(queuedJobs.id, job.id),
+  eq(queuedJobs.attempts, job.attempts),
+  eq(queuedJobs.status, 'running'),
+);
+
+const completeJob = async (db: Database, job: QueuedJob) => {
+  await db.update(queuedJobs)
+    .set({ status: 'succeeded', locked_until: null, finished_at: new Date() })
+    .where(isCurrentRun(job));
+};
+
+// Schedule a retry, or dead-letter the job when it is out of attempts
+const failJob = async (db: Database, job: QueuedJob, error: unknown) => {
+  const dead = isDead(error, job.attempts, job.max_attempts);
+  logFailure(job, dead, error);
+  await db.update(queuedJobs)
+    .set(dead
+      ? { status: 'dead', locked_until: null, last_error: errorMessage(error), finished_at: new Date() }
+      : { status: 'pending', locked_until: null, last_error: errorMessage(error), run_at: secondsFromNow(retryDelaySeconds(job.attempts)) })
+    .where(isCurrentRun(job));
+};
+
+// Jobs whose worker died mid-run: retry them, or dead-letter them when out of attempts
+const recoverExpiredJobs = async (db: Database) => {
+  const outOfAttempts = sql`${queuedJobs.attempts} >= ${queuedJobs.max_attempts}`;
+  await db.update(queuedJobs)
+    .set({
+      status: sql`CASE WHEN ${outOfAttempts} THEN 'dead' ELSE 'pending' END`,
+      locked_until: null,
+      last_error: `Still running after ${JOB_TIMEOUT_SECONDS} seconds`,
+      run_at: sql`now()`,
+      finished_at: sql`CASE WHEN ${outOfAttempts} THEN now() END`,
+    })
+    .where(and(eq(queuedJobs.status, 'running'), lt(queuedJobs.locked_until, sql`now()`)));
+};
+
+/**
+ * Take up to `limit` due jobs from app.queued_jobs and run them side by side
+ * Jobs taken by other workers are skipped rather than waited for.
+ * @returns How many jobs ran
+ */
+export async function processQueuedJobs(db: Database, limit: number): Promise<number> {
+  await recoverExpiredJobs(db);
+
+  const due = db.select({ id: queuedJobs.id })
+    .from(queuedJobs)
+    .where(and(eq(queuedJobs.status, 'pending'), lte(queuedJobs.run_at, sql`now()`)))
+    .orderBy(asc(queuedJobs.run_at))
+    .limit(limit)
+    .for('update', { skipLocked: true });
+
+  const claimed = await db.update(queuedJobs)
+    .set({
+      status: 'running',
+      attempts: sql`${queuedJobs.attempts} + 1`,
+      locked_until: secondsFromNow(JOB_TIMEOUT_SECONDS),
+    })
+    .where(inArray(queuedJobs.id, due))
+    .returning();
+
+  const logRecordError = (job: QueuedJob) => (error: unknown) => {
+    log.error('Could not record job outcome', { job: job.name, job_id: job.id, error });
+  };
+
+  await Promise.all(claimed.map(async (job) => {
+    try {
+      await runHandler(db, job);
+    } catch (error) {
+      await failJob(db, job, error).catch(logRecordError(job));
+      return;
+    }
+    await completeJob(db, job).catch(logRecordError(job));
+  }));
+
+  return claimed.length;
+}
+
+const sleep = (ms: number, signal: AbortSignal) => new Promise<void>((resolve) => {
+  const done = () => {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal.addEventListener('abort', done);
+});
+
+export type QueueWorkerOptions = {
+  // Jobs run at once
+  concurrency: number;
+  // Wait between polls while the queue is empty
+  pollIntervalMs: number;
+  // Stops taking new jobs; the returned promise resolves once running ones finish
+  signal: AbortSignal;
+  // Resolve as soon as no job is due instead of polling (`pnpm jobs:work`)
+  untilEmpty?: boolean;
+};
+
+const TAKE_RETRY_MAX_MS = 60 * 1000;
+
+/**
+ * Wait before polling again after `failures` takes in a row failed (database down, migrations not
+ * run): the poll interval, doubling with each failure up to a minute
+ */
+export function takeRetryDelayMs(failures: number, pollIntervalMs: number): number {
+  return Math.min(pollIntervalMs * 2 ** failures, Math.max(pollIntervalMs, TAKE_RETRY_MAX_MS));
+}
+
+/**
+ * Run queued jobs until stopped (Node.js)
+ */
+export async function runQueueWorker(db: Database, options: QueueWorkerOptions): Promise<void> {
+  let failures = 0;
+
+  while (!options.signal.aborted) {
+    let processed = 0;
+    try {
+      processed = await processQueuedJobs(db, options.concurrency);
+      if (failures > 0) {
+        log.info('Taking jobs from the queue again', { failures });
+        failures = 0;
+      }
+    } catch (error) {
+      failures += 1;
+      log.error('Could not take jobs from the queue', {
+        error,
+        failures,
+        retry_in_ms: options.untilEmpty ? undefined : takeRetryDelayMs(failures, options.pollIntervalMs),
+      });
+    }
+
+    if (processed === 0) {
+      if (options.untilEmpty) {
+        return;
+      }
+      await sleep(failures > 0 ? takeRetryDelayMs(failures, options.pollIntervalMs) : options.pollIntervalMs, options.signal);
+    }
+  }
+}
+
+/**
+ * Run a batch delivered by Cloudflare Queues (Workers), one message at a time
+ * Attempts are counted by Cloudflare; failures are retried with our backoff, and a message out of
+ * attempts is acknowledged and dead-lettered in app.queued_jobs.
+ */
+export async function handleQueueBatch(db: Database, batch: MessageBatch<QueueMessage>): Promise<void> {
+  for (const message of batch.messages) {
+    const { id, name, payload, maxAttempts } = message.body;
+    const job = { id, name, payload, attempts: message.attempts };
+
+    try {
+      await runHandler(db, job);
+      await db.update(queuedJobs)
+        .set({ status: 'succeeded', attempts: message.attempts, finished_at: new Date() })
+        .where(eq(queuedJobs.id, id));
+      message.ack();
+    } catch (error) {
+      const dead = isDead(error, message.attempts, maxAttempts);
+      logFailure(job, dead, error);
+      await db.update(queuedJobs)
+        .set({
+          attempts: message.attempts,
+          last_error: errorMessage(error),
+          ...(dead ? { status: 'dead' as const, finished_at: new Date() } : {}),
+        })
+        .where(eq(queuedJobs.id, id))
+        .catch((updateError) => log.error('Could not record job outcome', { job: name, job_id: id, error: updateError }));
+
+      if (dead) {
+        message.ack();
+      } else {
+        message.retry({ delaySeconds: retryDelaySeconds(message.attempts) });
+      }
+    }
+  }
+}
+
+export type ListQueuedJobsOptions = {
+  status?: QueuedJobStatus;
+  name?: string;
+  limit: number;
+};
+
+/**
+ * Queued jobs, newest first
+ */
+export async function listQueuedJobs(db: Database, options: ListQueuedJobsOptions): Promise<QueuedJob[]> {
+  return db.select()
+    .from(queuedJobs)
+    .where(and(
+      options.status ? eq(queuedJobs.status, options.status) : undefined,
+      options.name ? eq(queuedJobs.name, options.name) : undefined,
+    ))
+    .orderBy(desc(queuedJobs.created_at), desc(queuedJobs.id))
+    .limit(options.limit);
+}
+
+/**
+ * Delete succeeded jobs after SUCCEEDED_RETENTION_DAYS and dead ones after DEAD_RETENTION_DAYS,
+ * which also frees their idempotency keys
+ * @returns How many jobs were deleted
+ */
+export async function pruneQueuedJobs(db: Database): Promise<number> {
+  const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const deleted = await db.delete(queuedJobs)
+    .where(or(
+      and(eq(queuedJobs.status, 'succeeded'), lt(queuedJobs.finished_at, daysAgo(SUCCEEDED_RETENTION_DAYS))),
+      and(eq(queuedJobs.status, 'dead'), lt(queuedJobs.finished_at, daysAgo(DEAD_RETENTION_DAYS))),
+    ))
+    .returning();
+  return deleted.length;
+}
@@ -0,0 +1,209 @@
+/**
+ * Sliding-window rate limiting
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Each key keeps a hit count for the current and the previous fixed window; the previous
+ * count is weighted by how much of it still overlaps the sliding window. That needs one
+ * atomic increment per request, which every store below can do.
+ */
+
+import { and, eq, lt, sql } from 'drizzle-orm';
+import type { Database } from './db';
+import { log } from './logger';
+import { rateLimits } from '../schema/rate-limits';
+
+export type WindowCounts = {
+  current: number;
+  previous: number;
+};
+
+/**
+ * Counter storage shared by all requests that should see the same limits
+ */
+export interface RateLimitStore {
+  // Count one hit for `key` in the window starting at `windowStart` (ms) and return both windows' counts
+  hit(key: string, windowStart: number, windowMs: number): Promise<WindowCounts>;
+}
+
+export type RateLimitResult = {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  // Seconds until the current window ends, or until a retry would be allowed when blocked
+  resetSeconds: number;
+};
+
+/**
+ * Count a hit for `key` and decide whether it is within `limit` hits per `windowMs`
+ */
+export async function consume(
+  store: RateLimitStore,
+  key: string,
+  options: { limit: number; windowMs: number; now?: number }
+): Promise<RateLimitResult> {
+  const { limit, windowMs } = options;
+  const now = options.now ?? Date.now();
+  const windowStart = now - (now % windowMs);
+  const elapsed = (now - windowStart) / windowMs;
+
+  const { current, previous } = await store.hit(key, windowStart, windowMs);
+  const estimate = previous * (1 - elapsed) + current;
+  const allowed = estimate <= limit;
+
+  let resetMs = windowStart + windowMs - now;
+  if (!allowed) {
+    resetMs = retryAfterMs({ current, previous, limit, elapsed, windowMs });
+  }
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimate)),
+    resetSeconds: Math.max(1, Math.ceil(resetMs / 1000)),
+  };
+}
+
+// When would one more hit fit? Either later in this window, as the previous window's weight
+// fades, or in the next window once this window's hits have faded enough
+const retryAfterMs = (options: WindowCounts & { limit: number; elapsed: number; windowMs: number }): number => {
+  const { current, previous, limit, elapsed, windowMs } = options;
+
+  if (previous > 0 && current + 1 <= limit) {
+    const fitsAt = 1 - (limit - current - 1) / previous;
+    return Math.max(0, fitsAt - elapsed) * windowMs;
+  }
+
+  const fitsAtNext = current > limit - 1 ? 1 - (limit - 1) / current : 0;
+  return (1 - elapsed + fitsAtNext) * windowMs;
+};
+
+type StoredWindow = WindowCounts & { windowStart: number };
+
+// Roll a stored window forward to `windowStart` and count one hit
+const advanceWindow = (stored: StoredWindow | null | undefined, windowStart: number, windowMs: number): StoredWindow => {
+  if (stored?.windowStart === windowStart) {
+    return { ...stored, current: stored.current + 1 };
+  }
+  const previous = stored?.windowStart === windowStart - windowMs ? stored.current : 0;
+  return { windowStart, current: 1, previous };
+};
+
+// Entries are swept once the map grows past this, dropping keys idle for two windows
+const MEMORY_SWEEP_THRESHOLD = 10_000;
+
+/**
+ * Per-process (Node.js) or per-isolate (Workers) store
+ * Exact within one process; with several instances each one counts separately.
+ */
+export function createMemoryStore(): RateLimitStore {
+  const windows = new Map<string, StoredWindow>();
+
+  return {
+    async hit(key, windowStart, windowMs) {
+      if (windows.size > MEMORY_SWEEP_THRESHOLD) {
+        for (const [storedKey, stored] of windows) {
+          if (stored.windowStart < windowStart - windowMs) {
+            windows.delete(storedKey);
+          }
+        }
+      }
+
+      const next = advanceWindow(windows.get(key), windowStart, windowMs);
+      windows.set(key, next);
+      return next;
+    },
+  };
+}
+
+// Fraction of hits that also delete expired rows, so the table stays small without a cron job
+const POSTGRES_CLEANUP_RATE = 0.01;
+
+/**
+ * Store backed by the app.rate_limits table, shared by every instance using the database
+ */
+export function createPostgresStore(db: Database): RateLimitStore {
+  return {
+    async hit(key, windowStart, windowMs) {
+      const [row] = await db.insert(rateLimits)
+        .values({ key, window_start: windowStart, count: 1 })
+        .onConflictDoUpdate({
+          target: [rateLimits.key, rateLimits.window_start],
+          set: { count: sql`${rateLimits.count} + 1` },
+        })
+        .returning();
+
+      const [previous] = await db.select()
+        .from(rateLimits)
+        .where(and(eq(rateLimits.key, key), eq(rateLimits.window_start, windowStart - windowMs)))
+        .limit(1);
+
+      if (Math.random() < POSTGRES_CLEANUP_RATE) {
+        await db.delete(rateLimits)
+          .where(lt(rateLimits.window_start, windowStart - windowMs))
+          .catch((error) => log.warn('Rate limit cleanup failed', { error }));
+      }
+
+      return { current: row?.count ?? 1, previous: previous?.count ?? 0 };
+    },
+  };
+}
+
+/**
+ * Store backed by a Workers KV namespace
+ * KV has no atomic increment and is eventually consistent, so concurrent hits can be
+ * undercounted - fine as a coarse limit, use the Durable Object store for exact ones.
+ */
+export function createKVStore(kv: KVNamespace): RateLimitStore {
+  return {
+    async hit(key, windowStart, windowMs) {
+      const kvKey = `ratelimit:${key}`;
+      const next = advanceWindow(await kv.get<StoredWindow>(kvKey, 'json'), windowStart, windowMs);
+      // KV requires a TTL of at least 60 seconds
+      const ttlSeconds = Math.max(60, Math.ceil((2 * windowMs) / 1000));
+      await kv.put(kvKey, JSON.stringify(next), { expirationTtl: ttlSeconds });
+      return next;
+    },
+  };
+}
+
+/**
+ * Store backed by the RateLimiter Durable Object - one object per key, so counts are exact
+ */
+export function createDurableObjectStore(namespace: DurableObjectNamespace): RateLimitStore {
+  return {
+    async hit(key, windowStart, windowMs) {
+      const stub = namespace.get(namespace.idFromName(key));
+      const response = await stub.fetch('https://rate-limiter.internal/hit', {
+        method: 'POST',
+        body: JSON.stringify({ windowStart, windowMs }),
+      });
+      if (!response.ok) {
+        throw new Error(`Rate limiter responded with status ${response.status}`);
+      }
+      return await response.json() as WindowCounts;
+    },
+  };
+}
+
+/**
+ * Durable Object holding the counters for one rate-limit key
+ * Export it from the Worker entry (api.ts) and bind it as RATE_LIMITER in wrangler.toml.
+ */
+export class RateLimiter implements DurableObject {
+  constructor(private readonly state: DurableObjectState) {}
+
+  async fetch(request: Request): Promise<Response> {
+    const { windowStart, windowMs } = await request.json() as { windowStart: number; windowMs: number };
+
+    const next = advanceWindow(await this.state.storage.get<StoredWindow>('window'), windowStart, windowMs);
+    await this.state.storage.put('window', next);
+    // Free the storage once the key has been idle for two windows
+    await this.state.storage.setAlarm(windowStart + 2 * windowMs);
+
+    return Response.json({ current: next.current, previous: next.previous });
+  }
+
+  async alarm(): Promise<void> {
+    await this.state.storage.deleteAll();
+  }
+}
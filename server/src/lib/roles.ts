@@ -0,0 +1,77 @@
+/**
+ * Role and permission definitions
+ * A user's roles are the union of:
+ * - Firebase custom claims: `roles: string[]`, `role: string` or `admin: true` (set with the Admin SDK)
+ * - Rows in app.user_roles (granted in-app through the admin routes)
+ */
+
+import { eq } from 'drizzle-orm';
+import type { JWTPayload } from 'jose';
+import type { Database } from './db';
+import { userRoles } from '../schema/roles';
+
+/**
+ * Permissions granted by each role
+ * '*' grants everything, 'resource:*' grants every action on a resource
+ */
+export const ROLE_PERMISSIONS: Record<string, readonly string[]> = {
+  admin: ['*'],
+  moderator: ['users:read'],
+};
+
+export const isKnownRole = (role: string): boolean => {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+};
+
+/**
+ * Extract roles from Firebase custom claims
+ */
+export function getClaimRoles(claims: JWTPayload): string[] {
+  const roles = new Set<string>();
+
+  if (Array.isArray(claims.roles)) {
+    for (const role of claims.roles) {
+      if (typeof role === 'string') roles.add(role);
+    }
+  }
+  if (typeof claims.role === 'string') {
+    roles.add(claims.role);
+  }
+  if (claims.admin === true) {
+    roles.add('admin');
+  }
+
+  return [...roles];
+}
+
+/**
+ * Load roles granted in-app from app.user_roles
+ */
+export async function getDatabaseRoles(db: Database, userId: string): Promise<string[]> {
+  const rows = await db.select().from(userRoles).where(eq(userRoles.user_id, userId));
+  return rows.map((row) => row.role);
+}
+
+/**
+ * Expand roles into the permissions they grant
+ */
+export function resolvePermissions(roles: string[]): string[] {
+  const permissions = new Set<string>();
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] ?? []) {
+      permissions.add(permission);
+    }
+  }
+  return [...permissions].sort();
+}
+
+/**
+ * Check a permission against a granted set, honouring '*' and 'resource:*' wildcards
+ */
+export function hasPermission(granted: string[], required: string): boolean {
+  if (granted.includes('*') || granted.includes(required)) {
+    return true;
+  }
+  const [resource] = required.split(':');
+  return granted.includes(`${resource}:*`);
+}
@@ -0,0 +1,234 @@
+/**
+ * Scheduled jobs: a registry of cron-scheduled tasks and the locking that keeps each run single
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Workers run due jobs from the Cron Triggers in wrangler.toml (the scheduled handler in api.ts),
+ * Node.js from a once-a-minute timer in server.ts. Every instance may fire for the same minute:
+ * the first one to record the (job, minute) run in app.job_runs runs it, and a lease in
+ * app.job_locks keeps a run from overlapping a slow previous run or a manual one.
+ */
+
+import { and, desc, eq, lt, sql } from 'drizzle-orm';
+import type { Database } from './db';
+import { matchesCron, parseCron, type CronSchedule } from './cron';
+import { log } from './logger';
+import { deleteStaleAnonymousUsers } from './accounts';
+import { pruneQueuedJobs } from './queue';
+import { pruneAuditEvents } from './audit';
+import { jobLocks, jobRuns, type JobRun, type JobRunStatus, type JobRunTrigger } from '../schema/scheduler';
+
+export type JobContext = {
+  db: Database;
+  runId: number;
+  trigger: JobRunTrigger;
+};
+
+export type ScheduledJob = {
+  description: string;
+  // Five-field cron expression in UTC (lib/cron.ts); Workers also need it in wrangler.toml's [triggers]
+  schedule: string;
+  // Lease on the job's lock - a run still going after this may be overlapped by the next one
+  timeoutSeconds?: number;
+  // Whatever it returns is stored as the run's result
+  run: (context: JobContext) => Promise<Record<string, unknown> | void>;
+};
+
+const DEFAULT_TIMEOUT_SECONDS = 10 * 60;
+
+const JOB_RUN_RETENTION_DAYS = 30;
+
+/**
+ * Delete job run history older than JOB_RUN_RETENTION_DAYS
+ * @returns How many runs were deleted
+ */
+export async function pruneJobRuns(db: Database): Promise<number> {
+  const cutoff = new Date(Date.now() - JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const deleted = await db.delete(jobRuns)
+    .where(lt(jobRuns.started_at, cutoff))
+    .returning();
+  return deleted.length;
+}
+
+/**
+ * Every scheduled job, by name
+ * On Workers `pnpm deploy:cf` generates the [triggers] crons from these schedules.
+ */
+export const SCHEDULED_JOBS: Record<string, ScheduledJob> = {
+  'cleanup-anonymous-users': {
+    description: 'Delete anonymous users not seen for ANONYMOUS_USER_RETENTION_DAYS',
+    schedule: '17 3 * * *',
+    run: async ({ db }) => ({ deleted: await deleteStaleAnonymousUsers(db) }),
+  },
+  'prune-queued-jobs': {
+    description: 'Delete finished background jobs past their retention, freeing their idempotency keys',
+    schedule: '32 3 * * *',
+    run: async ({ db }) => ({ deleted: await pruneQueuedJobs(db) }),
+  },
+  'prune-job-runs': {
+    description: `Delete job run history older than ${JOB_RUN_RETENTION_DAYS} days`,
+    schedule: '47 3 * * *',
+    run: async ({ db }) => ({ deleted: await pruneJobRuns(db) }),
+  },
+  'prune-audit-events': {
+    description: 'Delete audit events older than AUDIT_RETENTION_DAYS',
+    schedule: '2 4 * * *',
+    run: async ({ db }) => ({ deleted: await pruneAuditEvents(db) }),
+  },
+};
+
+// Parsed once, so a malformed schedule fails at startup rather than at its first run
+const schedules = new Map<string, CronSchedule>(
+  Object.entries(SCHEDULED_JOBS).map(([name, job]) => [name, parseCron(job.schedule)])
+);
+
+export const isKnownJob = (name: string): boolean => {
+  return Object.prototype.hasOwnProperty.call(SCHEDULED_JOBS, name);
+};
+
+export type RunJobOptions = {
+  trigger: JobRunTrigger;
+  // The cron minute of a scheduled run; runs for a minute that already has one are dropped
+  scheduledFor?: Date;
+  // User who started a manual run
+  triggeredBy?: string;
+};
+
+// Take the job's lock unless a run holding it is still within its lease. Both sides use the
+// database clock, so instances with skewed clocks agree on when a lease ends.
+const acquireLock = async (db: Database, job: string, runId: number, timeoutSeconds: number): Promise<boolean> => {
+  const lockedUntil = sql`now() + ${timeoutSeconds} * interval '1 second'`;
+  const [lock] = await db.insert(jobLocks)
+    .values({ job, run_id: runId, locked_until: lockedUntil })
+    .onConflictDoUpdate({
+      target: jobLocks.job,
+      set: { run_id: runId, locked_until: lockedUntil },
+      where: lt(jobLocks.locked_until, sql`now()`),
+    })
+    .returning();
+  return !!lock;
+};
+
+const releaseLock = async (db: Database, job: string, runId: number) => {
+  await db.delete(jobLocks).where(and(eq(jobLocks.job, job), eq(jobLocks.run_id, runId)));
+};
+
+const finishRun = async (
+  db: Database,
+  run: JobRun,
+  outcome: { status: JobRunStatus; result?: unknown; error?: string; durationMs?: number }
+): Promise<JobRun> => {
+  const [finished] = await db.update(jobRuns)
+    .set({
+      status: outcome.status,
+      finished_at: new Date(),
+      duration_ms: outcome.durationMs ?? null,
+      result: outcome.result ?? null,
+      error: outcome.error ?? null,
+    })
+    .where(eq(jobRuns.id, run.id))
+    .returning();
+  return finished ?? run;
+};
+
+/**
+ * Run a job now, recording it in app.job_runs
+ * A job that throws is recorded as failed rather than rethrown; one whose lock is held by another
+ * run is recorded as skipped.
+ * @returns The finished run, or null when another instance already has this scheduled minute
+ */
+export async function runJob(db: Database, name: string, options: RunJobOptions): Promise<JobRun | null> {
+  const job = SCHEDULED_JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  const [run] = await db.insert(jobRuns)
+    .values({
+      job: name,
+      trigger: options.trigger,
+      scheduled_for: options.scheduledFor ?? null,
+      triggered_by: options.triggeredBy ?? null,
+    })
+    .onConflictDoNothing()
+    .returning();
+  if (!run) {
+    return null;
+  }
+
+  if (!await acquireLock(db, name, run.id, job.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS)) {
+    log.warn('Scheduled job skipped, a previous run is still going', { job: name, run_id: run.id });
+    return finishRun(db, run, { status: 'skipped', error: 'Already running' });
+  }
+
+  const startedAt = Date.now();
+  try {
+    const result = await job.run({ db, runId: run.id, trigger: options.trigger });
+    const finished = await finishRun(db, run, { status: 'succeeded', result, durationMs: Date.now() - startedAt });
+    log.info('Scheduled job succeeded', { job: name, run_id: run.id, duration_ms: finished.duration_ms, result });
+    return finished;
+  } catch (error) {
+    log.error('Scheduled job failed', { job: name, run_id: run.id, error });
+    return finishRun(db, run, {
+      status: 'failed',
+      error: error instanceof Error ? error.message : String(error),
+      durationMs: Date.now() - startedAt,
+    });
+  } finally {
+    await releaseLock(db, name, run.id)
+      .catch((error) => log.warn('Could not release job lock, it expires with its lease', { job: name, error }));
+  }
+}
+
+/**
+ * Run every job whose schedule matches the minute of `time`, one after another
+ * @returns The runs this call made (jobs another instance already ran are left out)
+ */
+export async function runDueJobs(db: Database, time: Date): Promise<JobRun[]> {
+  const scheduledFor = new Date(time.getTime() - (time.getTime() % 60_000));
+  const runs: JobRun[] = [];
+
+  for (const [name, schedule] of schedules) {
+    if (!matchesCron(schedule, scheduledFor)) {
+      continue;
+    }
+    try {
+      const run = await runJob(db, name, { trigger: 'schedule', scheduledFor });
+      if (run) {
+        runs.push(run);
+      }
+    } catch (error) {
+      // The run couldn't even be recorded, e.g. the database is down
+      log.error('Could not start scheduled job', { job: name, error });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Every job with its most recent run
+ */
+export async function listJobs(db: Database) {
+  const lastRuns = await db.selectDistinctOn([jobRuns.job])
+    .from(jobRuns)
+    .orderBy(jobRuns.job, desc(jobRuns.started_at), desc(jobRuns.id));
+  const lastRunByJob = new Map(lastRuns.map((run) => [run.job, run]));
+
+  return Object.entries(SCHEDULED_JOBS).map(([name, job]) => ({
+    name,
+    description: job.description,
+    schedule: job.schedule,
+    last_run: lastRunByJob.get(name) ?? null,
+  }));
+}
+
+/**
+ * A job's runs, newest first
+ */
+export async function getJobRuns(db: Database, name: string, limit: number): Promise<JobRun[]> {
+  return db.select()
+    .from(jobRuns)
+    .where(eq(jobRuns.job, name))
+    .orderBy(desc(jobRuns.started_at), desc(jobRuns.id))
+    .limit(limit);
+}
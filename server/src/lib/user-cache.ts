@@ -0,0 +1,76 @@
+/**
+ * Per-isolate cache of authenticated users for authMiddleware
+ * Works in both Node.js and Cloudflare Workers environments
+ *
+ * Repeat requests with the same ID token reuse the user row and roles loaded for it for
+ * USER_CACHE_TTL seconds instead of querying the database. Entries are keyed by uid and the token's
+ * `iat`: a refreshed token (new custom claims, email verification) always reloads. Writes made in
+ * this isolate invalidate the entry; ones made elsewhere (another isolate or worker process,
+ * the database directly) show up when it expires.
+ */
+
+import type { User } from '../schema/users';
+
+export type CachedUser = {
+  user: User;
+  roles: string[];
+};
+
+type CacheEntry = CachedUser & {
+  issuedAt: number;
+  expiresAt: number;
+};
+
+// Bounds memory on busy isolates; Map keeps insertion order, so the oldest entry goes first
+const MAX_ENTRIES = 1000;
+
+const cache = new Map<string, CacheEntry>();
+
+/**
+ * The user and roles cached for this uid and token, or null if missing, for another token, or expired
+ */
+export function getCachedUser(uid: string, issuedAt: number): CachedUser | null {
+  const entry = cache.get(uid);
+  if (!entry || entry.issuedAt !== issuedAt || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return { user: entry.user, roles: entry.roles };
+}
+
+/**
+ * Cache what was loaded for a token (a TTL of 0 disables caching)
+ */
+export function setCachedUser(uid: string, issuedAt: number, value: CachedUser, ttlSeconds: number) {
+  if (ttlSeconds <= 0) {
+    return;
+  }
+
+  cache.delete(uid);
+  cache.set(uid, { ...value, issuedAt, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  if (cache.size > MAX_ENTRIES) {
+    const [oldest] = cache.keys();
+    cache.delete(oldest);
+  }
+}
+
+/**
+ * Replace the cached user row, keeping the entry's token and expiry
+ */
+export function updateCachedUser(user: User) {
+  const entry = cache.get(user.id);
+  if (entry) {
+    entry.user = user;
+  }
+}
+
+/**
+ * Drop a user's entry after changing their row or roles
+ */
+export function invalidateCachedUser(uid: string) {
+  cache.delete(uid);
+}
+
+export function clearUserCache() {
+  cache.clear();
+}
@@ -0,0 +1,50 @@
+/**
+ * Request validation with zod
+ * Invalid params, query or body throw a ValidationError, answered with a 400 problem+json listing the field errors.
+ */
+
+import { zValidator } from '@hono/zod-validator';
+import type { ValidationTargets } from 'hono';
+import type { ZodError, ZodSchema } from 'zod';
+import { ValidationError } from './errors';
+import type { FieldErrors } from './problem';
+
+// Name used for errors that belong to the whole target rather than one field
+const TARGET_NAMES: Partial<Record<keyof ValidationTargets, string>> = {
+  json: 'body',
+  form: 'body',
+  param: 'params',
+};
+
+/**
+ * Flatten zod issues into field path -> messages
+ */
+export const toFieldErrors = (error: ZodError, target: keyof ValidationTargets): FieldErrors => {
+  const errors: FieldErrors = {};
+  const add = (field: string, message: string) => {
+    (errors[field] ??= []).push(message);
+  };
+
+  for (const issue of error.issues) {
+    if (issue.code === 'unrecognized_keys') {
+      for (const key of issue.keys) {
+        add([...issue.path, key].join('.'), 'Unknown field');
+      }
+    } else {
+      add(issue.path.length > 0 ? issue.path.join('.') : (TARGET_NAMES[target] ?? target), issue.message);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a request target against a zod schema
+ * The parsed value is available as c.req.valid(target) and typed for the RPC client.
+ */
+export const validate = <T extends ZodSchema, Target extends keyof ValidationTargets>(target: Target, schema: T) =>
+  zValidator(target, schema, (result) => {
+    if (!result.success) {
+      throw new ValidationError('The request is invalid', toFieldErrors(result.error, target));
+    }
+  });
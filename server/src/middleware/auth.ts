@@ -1,72 +1,224 @@
-import { MiddlewareHandler } from 'hono';
-import { verifyFirebaseToken } from '../lib/firebase-auth';
-import { getDatabase } from '../lib/db';
-import { eq } from 'drizzle-orm';
+import type { Context, MiddlewareHandler } from 'hono';
+import { verifyFirebaseToken, type FirebaseUser } from '../lib/firebase-auth';
+import { and, eq, isNull, lt, or, sql } from 'drizzle-orm';
 import { User, users } from '../schema/users';
-import { getFirebaseProjectId, getDatabaseUrl, getAllowAnonymousUsers } from '../lib/env';
+import { getConfig } from '../lib/config';
+import { getClaimRoles, getDatabaseRoles, resolvePermissions } from '../lib/roles';
+import { getCachedUser, setCachedUser, updateCachedUser } from '../lib/user-cache';
+import { log } from '../lib/logger';
+import { recordAuditEvent } from '../lib/audit';
+import { getEmailProvider } from '../lib/email';
+import { AppError, AuthenticationError, ForbiddenError, ServiceUnavailableError } from '../lib/errors';
+import type { Database } from '../lib/db';
+import type { JobQueue } from '../lib/queue';
 
 declare module 'hono' {
   interface ContextVariableMap {
     user: User;
+    roles: string[];
+    permissions: string[];
   }
 }
 
-export const authMiddleware: MiddlewareHandler = async (c, next) => {
+// Fields Firebase always owns
+const claimFields = (firebaseUser: FirebaseUser) => ({
+  email: firebaseUser.email || null,
+  email_verified: firebaseUser.email_verified,
+  sign_in_provider: firebaseUser.sign_in_provider || null,
+});
+
+// Whether the token carries profile data the row doesn't have yet.
+// display_name/photo_url only follow the token while Firebase still owns them.
+const isOutOfSync = (user: User, firebaseUser: FirebaseUser): boolean => {
+  const claims = claimFields(firebaseUser);
+  return user.email !== claims.email
+    || user.email_verified !== claims.email_verified
+    || user.sign_in_provider !== claims.sign_in_provider
+    || (user.display_name_source === 'firebase' && user.display_name !== (firebaseUser.name || null))
+    || (user.photo_url_source === 'firebase' && user.photo_url !== (firebaseUser.picture || null));
+};
+
+// Insert with the token's profile on first sign-in, or bring an existing row in line with it
+const upsertUser = async (db: Database, firebaseUser: FirebaseUser): Promise<User | undefined> => {
+  const [user] = await db.insert(users)
+    .values({
+      id: firebaseUser.id,
+      ...claimFields(firebaseUser),
+      display_name: firebaseUser.name || null,
+      photo_url: firebaseUser.picture || null,
+      last_seen_at: new Date(),
+    })
+    .onConflictDoUpdate({
+      target: users.id,
+      set: {
+        ...claimFields(firebaseUser),
+        display_name: sql`CASE WHEN ${users.display_name_source} = 'firebase' THEN excluded.display_name ELSE ${users.display_name} END`,
+        photo_url: sql`CASE WHEN ${users.photo_url_source} = 'firebase' THEN excluded.photo_url ELSE ${users.photo_url} END`,
+        updated_at: new Date(),
+      },
+    })
+    .returning();
+
+  return user;
+};
+
+// Read the user and their in-app roles, writing only when the token's claims changed
+const loadUser = async (db: Database, firebaseUser: FirebaseUser) => {
+  const [[existing], databaseRoles] = await Promise.all([
+    db.select().from(users).where(eq(users.id, firebaseUser.id)).limit(1),
+    getDatabaseRoles(db, firebaseUser.id),
+  ]);
+
+  const user = existing && !isOutOfSync(existing, firebaseUser)
+    ? existing
+    : await upsertUser(db, firebaseUser);
+
+  // Roles from custom claims and from app.user_roles are merged
+  const roles = [...new Set([...getClaimRoles(firebaseUser.claims), ...databaseRoles])].sort();
+
+  return { user, roles, previous: existing };
+};
+
+// The key makes it once per user, even when concurrent first requests both get here
+const enqueueWelcome = async (jobs: JobQueue, user: User, email: string) => {
+  try {
+    await jobs.enqueue(
+      'send-welcome',
+      { user_id: user.id, email, display_name: user.display_name },
+      { idempotencyKey: user.id }
+    );
+  } catch (error) {
+    log.warn('Could not enqueue the welcome job', { error, user_id: user.id });
+  }
+};
+
+// last_seen_at is written at most once per LAST_SEEN_INTERVAL; the WHERE clause keeps other
+// isolates and processes from repeating a write one of them just made
+const recordLastSeen = async (db: Database, user: User): Promise<User> => {
+  const intervalMs = getConfig().users.lastSeenIntervalSeconds * 1000;
+  const now = new Date();
+  if (user.last_seen_at && now.getTime() - user.last_seen_at.getTime() < intervalMs) {
+    return user;
+  }
+
+  try {
+    const [updated] = await db.update(users)
+      .set({ last_seen_at: now })
+      .where(and(
+        eq(users.id, user.id),
+        or(isNull(users.last_seen_at), lt(users.last_seen_at, new Date(now.getTime() - intervalMs))),
+      ))
+      .returning();
+    return updated ?? { ...user, last_seen_at: now };
+  } catch (error) {
+    // Not worth failing the request over
+    log.warn('Failed to record last_seen_at', { error, user_id: user.id });
+    return user;
+  }
+};
+
+// A token with a newer auth_time is a new sign-in. Like last_seen_at, the cached row skips the
+// write for every other request and the WHERE clause records each sign-in once across processes
+const recordSignIn = async (c: Context, db: Database, user: User, authTime: Date): Promise<User> => {
+  if (user.last_sign_in_at && user.last_sign_in_at >= authTime) {
+    return user;
+  }
+
   try {
-    const authHeader = c.req.header('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return c.json({ error: 'Authentication required' }, 401);
+    const [updated] = await db.update(users)
+      .set({ last_sign_in_at: authTime })
+      .where(and(
+        eq(users.id, user.id),
+        or(isNull(users.last_sign_in_at), lt(users.last_sign_in_at, authTime)),
+      ))
+      .returning();
+    if (!updated) {
+      return { ...user, last_sign_in_at: authTime };
     }
 
-    const token = authHeader.split('Bearer ')[1];
-    const firebaseProjectId = getFirebaseProjectId();
-    const firebaseUser = await verifyFirebaseToken(token, firebaseProjectId);
-    
-    // Check if anonymous users are allowed
-    const allowAnonymous = getAllowAnonymousUsers();
-    const isAnonymousUser = !firebaseUser.email;
-    
-    if (!allowAnonymous && isAnonymousUser) {
-      return c.json({ error: 'Anonymous users are not allowed. Please sign in.' }, 403);
+    await recordAuditEvent(c, {
+      action: 'user.signed_in',
+      actorId: user.id,
+      target: { type: 'user', id: user.id },
+      metadata: { sign_in_provider: user.sign_in_provider, auth_time: authTime.toISOString() },
+    });
+    return updated;
+  } catch (error) {
+    log.warn('Failed to record the sign-in', { error, user_id: user.id });
+    return user;
+  }
+};
+
+export const authMiddleware: MiddlewareHandler = async (c, next) => {
+  const authHeader = c.req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AuthenticationError();
+  }
+
+  const token = authHeader.split('Bearer ')[1];
+  const firebaseProjectId = getConfig().firebase.projectId;
+  // AuthenticationError for bad tokens, ServiceUnavailableError when signing keys can't be loaded
+  const firebaseUser = await verifyFirebaseToken(token, firebaseProjectId);
+
+  // Check if anonymous users are allowed
+  const allowAnonymous = getConfig().allowAnonymousUsers;
+  const isAnonymousUser = !firebaseUser.email;
+
+  if (!allowAnonymous && isAnonymousUser) {
+    throw new ForbiddenError('Anonymous users are not allowed. Please sign in.');
+  }
+
+  const db = c.get('db');
+  let cached = getCachedUser(firebaseUser.id, firebaseUser.issued_at);
+
+  if (!cached) {
+    // A database outage is the server's problem, not an authentication failure
+    let loaded: Awaited<ReturnType<typeof loadUser>>;
+    try {
+      loaded = await loadUser(db, firebaseUser);
+    } catch (error) {
+      throw new ServiceUnavailableError('Could not load the user from the database', { cause: error });
     }
-    
-    const firebaseUserId = firebaseUser.id;
-    const email = firebaseUser.email || null;
-
-    const databaseUrl = getDatabaseUrl();
-    const db = await getDatabase(databaseUrl);
-
-    // Upsert: insert if not exists, update email if exists and email changed
-    await db.insert(users)
-      .values({
-        id: firebaseUserId,
-        email: email,
-        display_name: null,
-        photo_url: null,
-      })
-      .onConflictDoUpdate({
-        target: users.id,
-        set: {
-          email: email,
-          updated_at: new Date(),
-        },
-      });
 
-    // Get the user from database
-    const [user] = await db.select()
-      .from(users)
-      .where(eq(users.id, firebaseUserId))
-      .limit(1);
+    if (!loaded.user) {
+      throw new AppError(500, `User not found after insert attempt for ID: ${firebaseUser.id}`);
+    }
 
-    if (!user) {
-      console.error('User not found after insert attempt for ID:', firebaseUserId);
-      return c.json({ error: 'User creation failed' }, 500);
+    // Audited on the first request with a new token; concurrent first requests may each record one
+    const target = { type: 'user', id: loaded.user.id };
+    if (!loaded.previous) {
+      await recordAuditEvent(c, {
+        action: 'user.first_seen',
+        actorId: loaded.user.id,
+        target,
+        metadata: { sign_in_provider: loaded.user.sign_in_provider },
+      });
+    } else if (loaded.previous.sign_in_provider !== loaded.user.sign_in_provider) {
+      await recordAuditEvent(c, {
+        action: 'user.provider_changed',
+        actorId: loaded.user.id,
+        target,
+        metadata: { from: loaded.previous.sign_in_provider, to: loaded.user.sign_in_provider },
+      });
     }
 
-    c.set('user', user);
-    await next();
-  } catch (error) {
-    console.error('Authentication error:', error);
-    return c.json({ error: 'Authentication failed' }, 401);
+    // First sign-in with an email address, including an anonymous user upgraded in place
+    if (loaded.user.email && !loaded.previous?.email && getEmailProvider()) {
+      await enqueueWelcome(c.get('jobs'), loaded.user, loaded.user.email);
+    }
+
+    cached = { user: loaded.user, roles: loaded.roles };
+    setCachedUser(firebaseUser.id, firebaseUser.issued_at, cached, getConfig().users.cacheTtlSeconds);
   }
-}; 
\ No newline at end of file
+
+  const signedIn = await recordSignIn(c, db, cached.user, new Date(firebaseUser.auth_time * 1000));
+  const user = await recordLastSeen(db, signedIn);
+  if (user !== cached.user) {
+    updateCachedUser(user);
+  }
+
+  c.set('user', user);
+  c.set('roles', cached.roles);
+  c.set('permissions', resolvePermissions(cached.roles));
+  await next();
+};
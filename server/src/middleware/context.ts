@@ -0,0 +1,51 @@
+import { Context, MiddlewareHandler } from 'hono';
+import { openRuntimeDatabase, type Database } from '../lib/db';
+import { runWithEnv, type EnvLike } from '../lib/env';
+import { log } from '../lib/logger';
+import { createCloudflareQueue, createPostgresQueue, createUnavailableQueue, type JobQueue } from '../lib/queue';
+
+declare module 'hono' {
+  interface ContextVariableMap {
+    db: Database;
+    env: EnvLike;
+    jobs: JobQueue;
+  }
+}
+
+/**
+ * The environment a request runs with: its bindings on Workers, process.env on Node.js
+ */
+export const getRequestEnv = (c: Context): EnvLike => {
+  return c.env?.RUNTIME === 'cloudflare' ? c.env : process.env;
+};
+
+/**
+ * Attach the request's environment, database and job queue to `c.var`
+ * On Workers the env is the request's bindings and socket-based clients are closed once
+ * the response is sent; on Node.js it is process.env and connections come from a shared pool.
+ */
+export const requestContext: MiddlewareHandler = async (c, next) => {
+  const isCloudflare = c.env?.RUNTIME === 'cloudflare';
+  const env = getRequestEnv(c);
+
+  await runWithEnv(env, async () => {
+    const { db, close } = openRuntimeDatabase(isCloudflare, isCloudflare ? c.env.HYPERDRIVE : undefined);
+
+    c.set('env', env);
+    c.set('db', db);
+    // Workers can't poll app.queued_jobs, so their jobs need the JOB_QUEUE binding
+    c.set('jobs', isCloudflare
+      ? (c.env.JOB_QUEUE ? createCloudflareQueue(db, c.env.JOB_QUEUE) : createUnavailableQueue())
+      : createPostgresQueue(db));
+
+    try {
+      await next();
+    } finally {
+      if (isCloudflare) {
+        c.executionCtx.waitUntil(close().catch((error) => log.warn('Failed to close database connection', { error })));
+      } else {
+        await close();
+      }
+    }
+  });
+};
@@ -0,0 +1,22 @@
+import { MiddlewareHandler } from 'hono';
+import { log, withLogContext } from '../lib/logger';
+
+/**
+ * One structured log line per request, and the request ID on every log line written while handling it
+ * Must run after hono/request-id's requestId() middleware.
+ */
+export const requestLogger: MiddlewareHandler = async (c, next) => {
+  const startedAt = Date.now();
+
+  await withLogContext({ request_id: c.get('requestId') }, async () => {
+    await next();
+
+    log.info('request', {
+      method: c.req.method,
+      path: c.req.path,
+      status: c.res.status,
+      duration_ms: Date.now() - startedAt,
+      user_id: c.var.user?.id,
+    });
+  });
+};
@@ -0,0 +1,77 @@
+import { Context, MiddlewareHandler } from 'hono';
+import { getClientIp } from '../lib/client-ip';
+import { getConfig, type RateLimitStoreKind } from '../lib/config';
+import { TooManyRequestsError } from '../lib/errors';
+import { log } from '../lib/logger';
+import {
+  consume,
+  createDurableObjectStore,
+  createKVStore,
+  createMemoryStore,
+  createPostgresStore,
+  type RateLimitStore,
+} from '../lib/rate-limit';
+
+// Shared by every request this process/isolate handles
+const memoryStore = createMemoryStore();
+
+const resolveStore = (c: Context, kind: RateLimitStoreKind | undefined): RateLimitStore => {
+  const limiter: DurableObjectNamespace | undefined = c.env?.RATE_LIMITER;
+  const kv: KVNamespace | undefined = c.env?.RATE_LIMIT_KV;
+
+  switch (kind ?? (limiter ? 'durable-object' : kv ? 'kv' : 'memory')) {
+    case 'durable-object':
+      if (!limiter) {
+        throw new Error('RATE_LIMIT_STORE=durable-object needs a RATE_LIMITER Durable Object binding');
+      }
+      return createDurableObjectStore(limiter);
+    case 'kv':
+      if (!kv) {
+        throw new Error('RATE_LIMIT_STORE=kv needs a RATE_LIMIT_KV namespace binding');
+      }
+      return createKVStore(kv);
+    case 'postgres':
+      return createPostgresStore(c.get('db'));
+    default:
+      return memoryStore;
+  }
+};
+
+/**
+ * Limit requests per client IP or per signed-in user, over a sliding window
+ * Sets RateLimit-Limit/-Remaining/-Reset/-Policy on every response and Retry-After on 429s.
+ * 'user' must run after authMiddleware. If the store fails the request is let through.
+ */
+export const rateLimit = (keyBy: 'ip' | 'user'): MiddlewareHandler => {
+  return async (c, next) => {
+    const config = getConfig().rateLimit;
+    const id = keyBy === 'user' ? c.var.user?.id : getClientIp(c);
+    if (!config.enabled || !id) {
+      return next();
+    }
+
+    const limit = keyBy === 'user' ? config.userMax : config.ipMax;
+    let result;
+    try {
+      result = await consume(resolveStore(c, config.store), `${keyBy}:${id}`, {
+        limit,
+        windowMs: config.windowSeconds * 1000,
+      });
+    } catch (error) {
+      log.warn('Rate limit check failed, allowing request', { error, key_by: keyBy });
+      return next();
+    }
+
+    c.header('RateLimit-Limit', String(result.limit));
+    c.header('RateLimit-Remaining', String(result.remaining));
+    c.header('RateLimit-Reset', String(result.resetSeconds));
+    c.header('RateLimit-Policy', `${limit};w=${config.windowSeconds}`);
+
+    if (!result.allowed) {
+      c.header('Retry-After', String(result.resetSeconds));
+      throw new TooManyRequestsError();
+    }
+
+    await next();
+  };
+};
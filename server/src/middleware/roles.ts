@@ -0,0 +1,41 @@
+import { MiddlewareHandler } from 'hono';
+import { hasPermission } from '../lib/roles';
+import { AuthenticationError, ForbiddenError } from '../lib/errors';
+
+/**
+ * Require at least one of the given roles
+ * Must run after authMiddleware, which puts roles on the context
+ */
+export const requireRole = (...roles: string[]): MiddlewareHandler => {
+  return async (c, next) => {
+    const userRoles = c.get('roles');
+    if (!userRoles) {
+      throw new AuthenticationError();
+    }
+
+    if (!roles.some((role) => userRoles.includes(role))) {
+      throw new ForbiddenError();
+    }
+
+    await next();
+  };
+};
+
+/**
+ * Require every one of the given permissions
+ * Must run after authMiddleware, which puts permissions on the context
+ */
+export const requirePermission = (...permissions: string[]): MiddlewareHandler => {
+  return async (c, next) => {
+    const granted = c.get('permissions');
+    if (!granted) {
+      throw new AuthenticationError();
+    }
+
+    if (!permissions.every((permission) => hasPermission(granted, permission))) {
+      throw new ForbiddenError();
+    }
+
+    await next();
+  };
+};
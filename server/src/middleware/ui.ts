@@ -0,0 +1,49 @@
+import { MiddlewareHandler } from 'hono';
+import { getConfig } from '../lib/config';
+
+// Routes owned by the API - never answered with the UI
+const API_PATH = /^\/(api|healthz|readyz)(\/|$)/;
+
+// Vite puts the built bundle under /assets with content hashes in the file names
+const HASHED_ASSET_PATH = /^\/assets\//;
+
+// Client-side routes (react-router) have no file extension; missing files like /logo.png stay 404s
+const FILE_PATH = /\.[^/]+$/;
+
+/**
+ * Whether a path is served by the UI when SERVE_UI is on
+ */
+export function isUiPath(path: string): boolean {
+  return !API_PATH.test(path);
+}
+
+/**
+ * Serve the built UI from the API's origin (SERVE_UI=true)
+ * Files come from the ASSETS binding: Workers static assets ([assets] in wrangler.toml), or on
+ * Node.js the serveStatic-backed equivalent server.ts passes in. Unknown client-side routes get
+ * index.html. Hashed bundle files are cached for a year, everything else is revalidated.
+ */
+export const serveUi: MiddlewareHandler = async (c, next) => {
+  if (!getConfig().ui.enabled || !isUiPath(c.req.path)) {
+    return next();
+  }
+
+  const assets: Fetcher | undefined = c.env?.ASSETS;
+  if (!assets) {
+    throw new Error('SERVE_UI=true needs an ASSETS binding - add [assets] to wrangler.toml');
+  }
+
+  let response = await assets.fetch(c.req.raw);
+  if (response.status === 404 && !FILE_PATH.test(c.req.path)) {
+    response = await assets.fetch(new Request(new URL('/', c.req.url), c.req.raw));
+  }
+  if (response.status === 404) {
+    return next();
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set('Cache-Control', HASHED_ASSET_PATH.test(c.req.path) && response.ok
+    ? 'public, max-age=31536000, immutable'
+    : 'no-cache');
+  return new Response(response.body, { status: response.status, headers });
+};
@@ -0,0 +1,40 @@
+import { index, jsonb, serial, text, timestamp } from 'drizzle-orm/pg-core';
+import { appSchema } from './users';
+
+export const auditActions = [
+  'user.first_seen',
+  'user.signed_in',
+  'user.provider_changed',
+  'user.profile_updated',
+  'user.deleted',
+  'user.merged',
+  'role.granted',
+  'role.revoked',
+  'job.run',
+  'job.retried',
+] as const;
+export type AuditAction = typeof auditActions[number];
+
+// Who did what to whom (lib/audit.ts). actor_id and target_id deliberately don't reference
+// app.users: the trail of an account has to outlive the account.
+export const auditEvents = appSchema.table('audit_events', {
+  id: serial('id').primaryKey(),
+  occurred_at: timestamp('occurred_at').defaultNow().notNull(),
+  action: text('action', { enum: auditActions }).notNull(),
+  // Signed-in user who acted; null for the system (scheduled jobs, CLI)
+  actor_id: text('actor_id'),
+  // What was acted on, e.g. ('user', uid) or ('job', name)
+  target_type: text('target_type'),
+  target_id: text('target_id'),
+  ip: text('ip'),
+  user_agent: text('user_agent'),
+  request_id: text('request_id'),
+  metadata: jsonb('metadata'),
+}, (table) => ({
+  byOccurredAt: index('audit_events_occurred_at_idx').on(table.occurred_at),
+  byActor: index('audit_events_actor_id_idx').on(table.actor_id, table.id),
+  byTarget: index('audit_events_target_idx').on(table.target_type, table.target_id, table.id),
+  byAction: index('audit_events_action_idx').on(table.action, table.id),
+}));
+
+export type AuditEvent = typeof auditEvents.$inferSelect;
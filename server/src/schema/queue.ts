@@ -0,0 +1,31 @@
+import { index, integer, jsonb, serial, text, timestamp, uniqueIndex } from 'drizzle-orm/pg-core';
+import { appSchema } from './users';
+
+// pending/running: waiting in or taken from this table (the Postgres backend);
+// queued: handed to Cloudflare Queues, which delivers it; dead: out of attempts, kept for a retry
+export const queuedJobStatuses = ['pending', 'running', 'queued', 'succeeded', 'dead'] as const;
+export type QueuedJobStatus = typeof queuedJobStatuses[number];
+
+// Background jobs enqueued through lib/queue.ts - the queue itself on Node.js, and the record of
+// each job's outcome, idempotency key and dead letter with either backend
+export const queuedJobs = appSchema.table('queued_jobs', {
+  id: serial('id').primaryKey(),
+  name: text('name').notNull(),
+  payload: jsonb('payload').notNull(),
+  status: text('status', { enum: queuedJobStatuses }).default('pending').notNull(),
+  idempotency_key: text('idempotency_key'),
+  attempts: integer('attempts').default(0).notNull(),
+  max_attempts: integer('max_attempts').notNull(),
+  // When a pending job may run next
+  run_at: timestamp('run_at').defaultNow().notNull(),
+  // Lease of a running job; past it the worker is presumed dead and the job is retried
+  locked_until: timestamp('locked_until'),
+  last_error: text('last_error'),
+  created_at: timestamp('created_at').defaultNow().notNull(),
+  finished_at: timestamp('finished_at'),
+}, (table) => ({
+  idempotencyKey: uniqueIndex('queued_jobs_name_idempotency_key_key').on(table.name, table.idempotency_key),
+  due: index('queued_jobs_status_run_at_idx').on(table.status, table.run_at),
+}));
+
+export type QueuedJob = typeof queuedJobs.$inferSelect;
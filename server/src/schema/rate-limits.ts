@@ -0,0 +1,11 @@
+import { bigint, integer, primaryKey, text } from 'drizzle-orm/pg-core';
+import { appSchema } from './users';
+
+// Hit counters for the Postgres rate-limit store (lib/rate-limit.ts), one row per key and window
+export const rateLimits = appSchema.table('rate_limits', {
+  key: text('key').notNull(),
+  window_start: bigint('window_start', { mode: 'number' }).notNull(),
+  count: integer('count').default(0).notNull(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.key, table.window_start] }),
+}));
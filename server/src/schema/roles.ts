@@ -0,0 +1,15 @@
+import { primaryKey, text, timestamp } from 'drizzle-orm/pg-core';
+import { appSchema, users } from './users';
+
+// Roles granted in-app. Roles can also come from Firebase custom claims (see lib/roles.ts).
+export const userRoles = appSchema.table('user_roles', {
+  user_id: text('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  role: text('role').notNull(),
+  granted_by: text('granted_by'),
+  granted_at: timestamp('granted_at').defaultNow().notNull(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.user_id, table.role] }),
+}));
+
+export type UserRole = typeof userRoles.$inferSelect;
+export type NewUserRole = typeof userRoles.$inferInsert;
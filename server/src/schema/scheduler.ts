@@ -0,0 +1,38 @@
+import { index, integer, jsonb, serial, text, timestamp, uniqueIndex } from 'drizzle-orm/pg-core';
+import { appSchema } from './users';
+
+export const jobRunTriggers = ['schedule', 'manual'] as const;
+export type JobRunTrigger = typeof jobRunTriggers[number];
+
+export const jobRunStatuses = ['running', 'succeeded', 'failed', 'skipped'] as const;
+export type JobRunStatus = typeof jobRunStatuses[number];
+
+// History of scheduled job runs (lib/scheduler.ts). A scheduled run's (job, scheduled_for) is
+// unique, so when several instances fire for the same minute only the first one runs the job.
+export const jobRuns = appSchema.table('job_runs', {
+  id: serial('id').primaryKey(),
+  job: text('job').notNull(),
+  trigger: text('trigger', { enum: jobRunTriggers }).notNull(),
+  // The cron minute a scheduled run is for; null for manual runs
+  scheduled_for: timestamp('scheduled_for'),
+  status: text('status', { enum: jobRunStatuses }).default('running').notNull(),
+  triggered_by: text('triggered_by'),
+  started_at: timestamp('started_at').defaultNow().notNull(),
+  finished_at: timestamp('finished_at'),
+  duration_ms: integer('duration_ms'),
+  result: jsonb('result'),
+  error: text('error'),
+}, (table) => ({
+  scheduledSlot: uniqueIndex('job_runs_job_scheduled_for_key').on(table.job, table.scheduled_for),
+  byJob: index('job_runs_job_started_at_idx').on(table.job, table.started_at),
+}));
+
+// One row per job while it runs, so two runs of a job never overlap. The lease lets another
+// instance take over from a process that died mid-run.
+export const jobLocks = appSchema.table('job_locks', {
+  job: text('job').primaryKey(),
+  run_id: integer('run_id').notNull(),
+  locked_until: timestamp('locked_until').notNull(),
+});
+
+export type JobRun = typeof jobRuns.$inferSelect;
@@ -1,15 +1,28 @@
-import { pgSchema, pgTable, text, timestamp } from 'drizzle-orm/pg-core';
+import { boolean, pgSchema, text, timestamp } from 'drizzle-orm/pg-core';
 
 // Create private schema for application tables
 export const appSchema = pgSchema('app');
 
+// Which side owns a profile field: 'firebase' keeps it in sync with token claims,
+// 'user' means it was edited in-app and sign-ins must not overwrite it
+export const profileFieldSources = ['firebase', 'user'] as const;
+export type ProfileFieldSource = typeof profileFieldSources[number];
+
 export const users = appSchema.table('users', {
   id: text('id').primaryKey(),
   email: text('email').unique(), // Nullable for anonymous users
   display_name: text('display_name'),
   photo_url: text('photo_url'),
+  display_name_source: text('display_name_source', { enum: profileFieldSources }).default('firebase').notNull(),
+  photo_url_source: text('photo_url_source', { enum: profileFieldSources }).default('firebase').notNull(),
+  email_verified: boolean('email_verified').default(false).notNull(),
+  sign_in_provider: text('sign_in_provider'),
   created_at: timestamp('created_at').defaultNow().notNull(),
   updated_at: timestamp('updated_at').defaultNow().notNull(),
+  // Last authenticated request, written at most every LAST_SEEN_INTERVAL seconds
+  last_seen_at: timestamp('last_seen_at'),
+  // auth_time of the last sign-in recorded as a user.signed_in audit event
+  last_sign_in_at: timestamp('last_sign_in_at'),
 });
 
 export type User = typeof users.$inferSelect;
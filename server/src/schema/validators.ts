@@ -0,0 +1,115 @@
+/**
+ * Request schemas derived from the drizzle tables
+ * Column types and nullability come from the table definitions; refinements add the API's rules.
+ */
+
+import { z } from 'zod';
+import { createInsertSchema, createSelectSchema } from 'drizzle-zod';
+import { isKnownRole, ROLE_PERMISSIONS } from '../lib/roles';
+import { users } from './users';
+import { userRoles } from './roles';
+import { queuedJobStatuses } from './queue';
+import { auditActions } from './audit';
+
+export const MAX_DISPLAY_NAME_LENGTH = 100;
+export const MAX_PHOTO_URL_LENGTH = 2048;
+
+// Firebase uids are at most 128 characters
+const MAX_USER_ID_LENGTH = 128;
+
+const isHttpUrl = (value: string) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Body of PATCH /me - only display_name and photo_url are user-editable
+ * Empty strings clear a field (stored as null).
+ */
+export const profileUpdateSchema = createInsertSchema(users, {
+  display_name: (schema) => schema.display_name
+    .trim()
+    .max(MAX_DISPLAY_NAME_LENGTH, `Must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`)
+    .transform((value) => value || null),
+  photo_url: (schema) => schema.photo_url
+    .max(MAX_PHOTO_URL_LENGTH, `Must be at most ${MAX_PHOTO_URL_LENGTH} characters`)
+    .refine((value) => value === '' || isHttpUrl(value), 'Must be an http(s) URL')
+    .transform((value) => value || null),
+})
+  .pick({ display_name: true, photo_url: true })
+  .strict()
+  .refine((value) => Object.keys(value).length > 0, 'Provide display_name and/or photo_url');
+
+/**
+ * Body of POST /admin/users/:id/roles
+ */
+export const grantRoleSchema = createInsertSchema(userRoles, {
+  role: (schema) => schema.role.refine(isKnownRole, `Must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`),
+})
+  .pick({ role: true })
+  .strict();
+
+/**
+ * Route params that identify a user (`:id`)
+ */
+export const userIdParamSchema = createSelectSchema(users, {
+  id: (schema) => schema.id.min(1).max(MAX_USER_ID_LENGTH),
+}).pick({ id: true });
+
+/**
+ * Route params that identify a granted role (`:id/roles/:role`)
+ */
+export const userRoleParamSchema = userIdParamSchema.merge(
+  createSelectSchema(userRoles, {
+    role: (schema) => schema.role.min(1),
+  }).pick({ role: true })
+);
+
+/**
+ * Body of POST /link - the ID token of the anonymous user whose data moves to the signed-in account
+ */
+export const linkAccountSchema = z.object({
+  anonymous_token: z.string().min(1, 'Required'),
+}).strict();
+
+/**
+ * Query of GET /admin/jobs/:name/runs
+ */
+export const jobRunsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+}).strict();
+
+/**
+ * Query of GET /admin/queue/jobs
+ */
+export const queuedJobsQuerySchema = z.object({
+  status: z.enum(queuedJobStatuses).optional(),
+  name: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+}).strict();
+
+/**
+ * Route params that identify a queued job (`:id`)
+ */
+export const queuedJobIdParamSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+/**
+ * Query of GET /admin/audit-events - every filter given must match
+ * since is inclusive, until exclusive; cursor is the next_cursor of the previous page.
+ */
+export const auditEventsQuerySchema = z.object({
+  actor_id: z.string().min(1).max(MAX_USER_ID_LENGTH).optional(),
+  action: z.enum(auditActions).optional(),
+  target_type: z.string().min(1).optional(),
+  target_id: z.string().min(1).optional(),
+  since: z.coerce.date().optional(),
+  until: z.coerce.date().optional(),
+  cursor: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+}).strict();
@@ -1,7 +1,31 @@
 import 'dotenv/config';
+import cluster from 'node:cluster';
+import type { Server } from 'node:http';
+import { Hono } from 'hono';
 import { serve } from '@hono/node-server';
+import { serveStatic } from '@hono/node-server/serve-static';
 import app from './api';
-import { getEnv, getDatabaseUrl, isLocalEmbeddedPostgres } from './lib/env';
+import { ConfigError, getConfig, redactConfig } from './lib/config';
+import { clearConnectionCache, openRuntimeDatabase } from './lib/db';
+import { runDueJobs } from './lib/scheduler';
+import { runQueueWorker } from './lib/queue';
+import { setDraining } from './lib/health';
+
+// Validate the whole environment before anything else, listing every problem at once
+const loadConfig = () => {
+  try {
+    return getConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      console.error('   Fix these in server/.env and restart.');
+      process.exit(1);
+    }
+    throw error;
+  }
+};
+
+const config = loadConfig();
 
 // Parse CLI arguments
 const parseCliArgs = () => {
@@ -9,7 +33,7 @@ const parseCliArgs = () => {
   const portIndex = args.indexOf('--port');
   
   return {
-    port: portIndex !== -1 ? parseInt(args[portIndex + 1]) : parseInt(getEnv('PORT', '8787')!),
+    port: portIndex !== -1 ? parseInt(args[portIndex + 1]) : config.port,
   };
 };
 
@@ -17,7 +41,7 @@ const { port } = parseCliArgs();
 
 // Extract PostgreSQL port from DATABASE_URL if it's a local embedded postgres connection
 const getPostgresPortFromDatabaseUrl = (): number => {
-  const dbUrl = getDatabaseUrl();
+  const dbUrl = config.database.url;
   if (dbUrl && dbUrl.includes('localhost:')) {
     const match = dbUrl.match(/localhost:(\d+)/);
     if (match) {
@@ -27,28 +51,194 @@ const getPostgresPortFromDatabaseUrl = (): number => {
   return 5433; // fallback default
 };
 
-const startServer = async () => {
-  console.log(`🚀 Starting backend server on port ${port}`);
-  
-  if (!getDatabaseUrl() || isLocalEmbeddedPostgres()) {
+// SERVE_UI: the built UI behind the same fetch interface as the ASSETS binding on Workers (see middleware/ui.ts)
+const uiAssets = config.ui.enabled
+  ? new Hono().use('*', serveStatic({ root: config.ui.distDir }))
+  : undefined;
+
+const logStartup = () => {
+  if (!config.database.url || config.database.isLocal) {
     console.log('🔗 Using local database connection (expecting database server on dynamic port)');
   } else {
     console.log('🔗 Using external database connection');
   }
+  console.log(`⚙️  Config: ${JSON.stringify(redactConfig(config))}`);
 
-  serve({
-    fetch: app.fetch,
-    port,
+  if (config.ui.enabled) {
+    console.log(`🖥️  Serving the UI from ${config.ui.distDir}`);
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Jobs started by the scheduler and not finished yet, awaited on shutdown
+const runningJobs = new Set<Promise<unknown>>();
+let schedulerTimer: NodeJS.Timeout | undefined;
+
+/**
+ * Run scheduled jobs (lib/scheduler.ts) at the start of every minute, like Cron Triggers on Workers
+ * Runs in one process only: the cluster primary, or the server itself without a cluster. Other
+ * instances sharing the database may run it too - each job runs once per minute regardless.
+ */
+const startScheduler = () => {
+  const scheduleNext = () => {
+    const nextMinute = new Date(Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    schedulerTimer = setTimeout(() => {
+      const running = runDueJobs(openRuntimeDatabase(false).db, nextMinute)
+        .catch((error) => console.error('⚠️  Scheduled jobs failed:', error))
+        .finally(() => runningJobs.delete(running));
+      runningJobs.add(running);
+      scheduleNext();
+    }, nextMinute.getTime() - Date.now());
+    schedulerTimer.unref();
+  };
+  scheduleNext();
+};
+
+const stopScheduler = async () => {
+  clearTimeout(schedulerTimer);
+  await Promise.all(runningJobs);
+};
+
+const queueWorker = new AbortController();
+let queueWorkerStopped: Promise<void> = Promise.resolve();
+
+/**
+ * Run queued background jobs (lib/queue.ts), unless QUEUE_WORKER=false leaves them to `pnpm jobs:work`
+ */
+const startQueueWorker = () => {
+  if (!config.queue.workerEnabled) {
+    return;
+  }
+  queueWorkerStopped = runQueueWorker(openRuntimeDatabase(false).db, {
+    concurrency: config.queue.concurrency,
+    pollIntervalMs: config.queue.pollIntervalSeconds * 1000,
+    signal: queueWorker.signal,
   });
 };
 
-// Graceful shutdown
-const shutdown = async () => {
-  console.log('🛑 Shutting down server...');
-  process.exit(0);
+// Scheduled and queued jobs run in one process per server: the cluster primary, or the server itself
+const startBackgroundWork = () => {
+  startScheduler();
+  startQueueWorker();
+};
+
+// Stop starting jobs and wait for running ones
+const stopBackgroundWork = async () => {
+  queueWorker.abort();
+  await Promise.all([stopScheduler(), queueWorkerStopped]);
 };
 
-process.on('SIGINT', shutdown);
-process.on('SIGTERM', shutdown);
+// Last step of a shutdown, once nothing uses the database any more
+const closeDatabasePools = async () => {
+  await clearConnectionCache().catch((error) => console.error('⚠️  Failed to close database connections:', error));
+};
 
-startServer(); 
\ No newline at end of file
+const startServer = () => {
+  const server = serve({
+    fetch: (request, env) => app.fetch(request, { ...env, ASSETS: uiAssets }),
+    port,
+  }) as Server;
+
+  server.keepAliveTimeout = config.server.keepAliveTimeoutSeconds * 1000;
+  // Must outlast keepAliveTimeout, or a request arriving on a socket about to time out can be dropped
+  server.headersTimeout = server.keepAliveTimeout + 1000;
+
+  // Graceful shutdown: fail readiness, stop accepting connections, let in-flight requests and
+  // scheduled jobs finish, then close the database pools. Connections still open after
+  // SHUTDOWN_TIMEOUT are cut.
+  let shuttingDown = false;
+  const shutdown = async (signal: NodeJS.Signals) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, draining in-flight requests...`);
+    setDraining();
+    const backgroundWorkStopped = stopBackgroundWork();
+
+    const forceExit = setTimeout(() => {
+      console.error(`⚠️  Requests still running after ${config.server.shutdownTimeoutSeconds}s, closing their connections`);
+      server.closeAllConnections();
+      process.exit(1);
+    }, config.server.shutdownTimeoutSeconds * 1000);
+    forceExit.unref();
+
+    // Keep-alive connections would hold close() open until they time out; drop them as they go idle
+    const closeIdle = setInterval(() => server.closeIdleConnections(), 500);
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+    clearInterval(closeIdle);
+
+    await backgroundWorkStopped;
+    await closeDatabasePools();
+    console.log('👋 Server stopped');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+/**
+ * Run WEB_CONCURRENCY worker processes sharing the port, replacing any that crash
+ * Signals are passed on to the workers, which drain on their own; the primary exits after the last one.
+ */
+const startCluster = () => {
+  const workers = config.server.workers;
+  console.log(`🚀 Starting backend server on port ${port} with ${workers} workers`);
+  logStartup();
+
+  let shuttingDown = false;
+  const started = new Set<number>();
+  cluster.on('listening', (worker) => started.add(worker.id));
+
+  cluster.on('exit', async (worker, code, signal) => {
+    const wasStarted = started.delete(worker.id);
+    const reason = signal ?? `exit code ${code}`;
+    if (shuttingDown) {
+      if (Object.keys(cluster.workers ?? {}).length === 0) {
+        // The primary's scheduler and queue worker have pools of their own
+        await stopBackgroundWork();
+        await closeDatabasePools();
+        console.log('👋 All workers stopped');
+        process.exit(0);
+      }
+      return;
+    }
+    // A worker that died before listening (port in use, broken build) would only die again
+    if (!wasStarted) {
+      console.error(`❌ Worker ${worker.process.pid} failed to start (${reason})`);
+      process.exit(1);
+    }
+    console.error(`⚠️  Worker ${worker.process.pid} exited (${reason}), starting a new one`);
+    cluster.fork();
+  });
+
+  const shutdown = (signal: NodeJS.Signals) => {
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, stopping workers...`);
+    void stopBackgroundWork();
+    for (const worker of Object.values(cluster.workers ?? {})) {
+      worker?.process.kill(signal);
+    }
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  for (let i = 0; i < workers; i++) {
+    cluster.fork();
+  }
+  startBackgroundWork();
+};
+
+if (config.server.workers > 1 && cluster.isPrimary) {
+  startCluster();
+} else if (cluster.isWorker) {
+  startServer();
+} else {
+  console.log(`🚀 Starting backend server on port ${port}`);
+  logStartup();
+  startServer();
+  startBackgroundWork();
+}
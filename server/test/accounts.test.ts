@@ -0,0 +1,169 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { asc, eq } from 'drizzle-orm';
+import { serial, text } from 'drizzle-orm/pg-core';
+import { deleteStaleAnonymousUsers, mergeUsers, OWNED_ROWS, reassignOwner } from '../src/lib/accounts';
+import { runWithEnv } from '../src/lib/env';
+import { appSchema, users, type NewUser } from '../src/schema/users';
+import { userRoles } from '../src/schema/roles';
+import { createTestDatabase, TEST_DATABASE_URL, type TestDatabase } from './helpers/database';
+
+// A table of user-owned rows, as an app would add one; created by the merge tests
+const notes = appSchema.table('test_notes', {
+  id: serial('id').primaryKey(),
+  user_id: text('user_id').notNull(),
+  slug: text('slug').notNull(),
+});
+
+const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe.skipIf(!TEST_DATABASE_URL)('anonymous accounts', () => {
+  let database: TestDatabase;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.sql`TRUNCATE app.users CASCADE`;
+  });
+
+  const insertUsers = (...rows: NewUser[]) => database.db.insert(users).values(rows);
+
+  const userIds = async () => (await database.db.select({ id: users.id }).from(users)).map((u) => u.id).sort();
+
+  const rolesOf = async (userId: string) => {
+    const rows = await database.db.select({ role: userRoles.role }).from(userRoles).where(eq(userRoles.user_id, userId));
+    return rows.map((row) => row.role).sort();
+  };
+
+  describe('mergeUsers', () => {
+    it('deletes the anonymous user without moving its roles to the permanent account', async () => {
+      await insertUsers(
+        { id: 'anon', sign_in_provider: 'anonymous' },
+        { id: 'perm', email: 'perm@example.com', sign_in_provider: 'password' },
+      );
+      await database.db.insert(userRoles).values([
+        { user_id: 'anon', role: 'admin' },
+        { user_id: 'anon', role: 'editor' },
+        { user_id: 'perm', role: 'editor' },
+      ]);
+
+      const result = await mergeUsers(database.db, 'anon', 'perm');
+
+      expect(result).toEqual({ moved: {} });
+      expect(await userIds()).toEqual(['perm']);
+      expect(await rolesOf('perm')).toEqual(['editor']);
+      expect(await rolesOf('anon')).toEqual([]);
+    });
+
+    describe('with a registered table', () => {
+      beforeAll(async () => {
+        await database.sql`
+          CREATE TABLE app.test_notes (
+            id serial PRIMARY KEY,
+            user_id text NOT NULL REFERENCES app.users(id) ON DELETE CASCADE,
+            slug text NOT NULL,
+            UNIQUE (user_id, slug)
+          )
+        `;
+      });
+
+      beforeEach(() => {
+        OWNED_ROWS.test_notes = reassignOwner(notes, 'user_id', { uniqueBy: ['slug'] });
+      });
+
+      afterEach(() => {
+        delete OWNED_ROWS.test_notes;
+      });
+
+      it('moves the anonymous user\'s rows to the permanent account', async () => {
+        await insertUsers(
+          { id: 'anon', sign_in_provider: 'anonymous' },
+          { id: 'perm', sign_in_provider: 'password' },
+          { id: 'other', sign_in_provider: 'password' },
+        );
+        await database.db.insert(notes).values([
+          { user_id: 'anon', slug: 'draft' },
+          { user_id: 'anon', slug: 'todo' },
+          { user_id: 'perm', slug: 'todo' },
+          { user_id: 'other', slug: 'draft' },
+        ]);
+
+        const result = await mergeUsers(database.db, 'anon', 'perm');
+
+        // The permanent account keeps its own 'todo'; the anonymous one's is dropped
+        expect(result).toEqual({ moved: { test_notes: 1 } });
+        const rows = await database.db.select({ user_id: notes.user_id, slug: notes.slug })
+          .from(notes)
+          .orderBy(asc(notes.user_id), asc(notes.slug));
+        expect(rows).toEqual([
+          { user_id: 'other', slug: 'draft' },
+          { user_id: 'perm', slug: 'draft' },
+          { user_id: 'perm', slug: 'todo' },
+        ]);
+      });
+
+      it('rolls the moves back when the merge fails', async () => {
+        await insertUsers({ id: 'anon', sign_in_provider: 'anonymous' }, { id: 'perm', sign_in_provider: 'password' });
+        await database.db.insert(notes).values({ user_id: 'anon', slug: 'draft' });
+        OWNED_ROWS.failing = async () => {
+          throw new Error('Cannot move');
+        };
+
+        try {
+          await expect(mergeUsers(database.db, 'anon', 'perm')).rejects.toThrow('Cannot move');
+        } finally {
+          delete OWNED_ROWS.failing;
+        }
+
+        expect(await database.db.select({ user_id: notes.user_id }).from(notes)).toEqual([{ user_id: 'anon' }]);
+        expect(await userIds()).toEqual(['anon', 'perm']);
+      });
+    });
+
+    it('returns null when the anonymous user has no row', async () => {
+      await insertUsers({ id: 'perm', sign_in_provider: 'password' });
+
+      expect(await mergeUsers(database.db, 'anon', 'perm')).toBeNull();
+      expect(await userIds()).toEqual(['perm']);
+    });
+  });
+
+  describe('deleteStaleAnonymousUsers', () => {
+    beforeEach(async () => {
+      await insertUsers(
+        { id: 'stale-anon', sign_in_provider: 'anonymous', last_seen_at: daysAgo(40) },
+        // Never seen: falls back to updated_at
+        { id: 'stale-anon-unseen', sign_in_provider: 'anonymous', updated_at: daysAgo(40) },
+        { id: 'recent-anon', sign_in_provider: 'anonymous', last_seen_at: daysAgo(2) },
+        { id: 'stale-perm', sign_in_provider: 'password', last_seen_at: daysAgo(400) },
+      );
+      await database.db.insert(userRoles).values({ user_id: 'stale-anon', role: 'editor' });
+    });
+
+    it('deletes anonymous users idle for longer than the retention period, with their rows', async () => {
+      const deleted = await runWithEnv({ FIREBASE_PROJECT_ID: 'demo-test' }, () => deleteStaleAnonymousUsers(database.db));
+
+      expect(deleted).toBe(2);
+      expect(await userIds()).toEqual(['recent-anon', 'stale-perm']);
+      expect(await rolesOf('stale-anon')).toEqual([]);
+    });
+
+    it('honours ANONYMOUS_USER_RETENTION_DAYS', async () => {
+      const env = { FIREBASE_PROJECT_ID: 'demo-test', ANONYMOUS_USER_RETENTION_DAYS: '60' };
+
+      expect(await runWithEnv(env, () => deleteStaleAnonymousUsers(database.db))).toBe(0);
+    });
+
+    it('keeps anonymous users a day when they are disabled', async () => {
+      const env = { FIREBASE_PROJECT_ID: 'demo-test', ALLOW_ANONYMOUS_USERS: 'false', ANONYMOUS_USER_RETENTION_DAYS: '60' };
+
+      expect(await runWithEnv(env, () => deleteStaleAnonymousUsers(database.db))).toBe(3);
+      expect(await userIds()).toEqual(['stale-perm']);
+    });
+  });
+});
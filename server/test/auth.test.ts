@@ -0,0 +1,99 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { Hono } from 'hono';
+import { eq } from 'drizzle-orm';
+import { UnsecuredJWT, type JWTPayload } from 'jose';
+import { authMiddleware } from '../src/middleware/auth';
+import { runWithEnv } from '../src/lib/env';
+import { clearUserCache } from '../src/lib/user-cache';
+import { auditEvents } from '../src/schema/audit';
+import { createTestDatabase, TEST_DATABASE_URL, type TestDatabase } from './helpers/database';
+
+const PROJECT_ID = 'demo-test';
+
+// Emulator mode, so tests can sign in with unsigned tokens
+const env = { FIREBASE_PROJECT_ID: PROJECT_ID, FIREBASE_AUTH_EMULATOR_HOST: 'localhost:5503' };
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const token = (overrides: JWTPayload = {}) => new UnsecuredJWT({
+  iss: `https://securetoken.google.com/${PROJECT_ID}`,
+  aud: PROJECT_ID,
+  sub: 'user-1',
+  iat: now() - 60,
+  auth_time: now() - 3600,
+  exp: now() + 3600,
+  email: 'user-1@example.com',
+  email_verified: true,
+  firebase: { sign_in_provider: 'password', identities: { email: ['user-1@example.com'] } },
+  ...overrides,
+}).encode();
+
+describe.skipIf(!TEST_DATABASE_URL)('authMiddleware', () => {
+  let database: TestDatabase;
+  let app: Hono;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+    app = new Hono();
+    app.use('*', (c, next) => runWithEnv(env, next));
+    app.use('*', async (c, next) => {
+      c.set('db', database.db);
+      await next();
+    });
+    app.use('*', authMiddleware);
+    app.get('/', (c) => c.text('ok'));
+  });
+
+  afterAll(async () => {
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.sql`TRUNCATE app.users, app.audit_events CASCADE`;
+    clearUserCache();
+  });
+
+  const request = async (bearer: string) => {
+    const res = await app.request('/', { headers: { Authorization: `Bearer ${bearer}` } });
+    expect(res.status).toBe(200);
+  };
+
+  const actions = async () => {
+    const rows = await database.db.select({ action: auditEvents.action })
+      .from(auditEvents)
+      .where(eq(auditEvents.actor_id, 'user-1'))
+      .orderBy(auditEvents.id);
+    return rows.map((row) => row.action);
+  };
+
+  it('records a sign-in once per auth_time, however often its tokens are refreshed', async () => {
+    const authTime = now() - 3600;
+
+    await request(token({ auth_time: authTime }));
+    await request(token({ auth_time: authTime }));
+    // A refreshed token: new iat, same auth_time
+    await request(token({ auth_time: authTime, iat: now() - 30 }));
+
+    expect(await actions()).toEqual(['user.first_seen', 'user.signed_in']);
+    const [event] = await database.db.select().from(auditEvents).where(eq(auditEvents.action, 'user.signed_in'));
+    expect(event.metadata).toEqual({ sign_in_provider: 'password', auth_time: new Date(authTime * 1000).toISOString() });
+  });
+
+  it('records the next sign-in when a token with a newer auth_time arrives', async () => {
+    await request(token({ auth_time: now() - 3600 }));
+    await request(token({ auth_time: now() - 60, iat: now() - 30 }));
+
+    expect(await actions()).toEqual(['user.first_seen', 'user.signed_in', 'user.signed_in']);
+  });
+
+  it('records a sign-in once when other processes see the same token', async () => {
+    const bearer = token();
+
+    await request(bearer);
+    // Another process, with nothing cached
+    clearUserCache();
+    await request(bearer);
+
+    expect(await actions()).toEqual(['user.first_seen', 'user.signed_in']);
+  });
+});
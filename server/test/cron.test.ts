@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { matchesCron, parseCron } from '../src/lib/cron';
+
+const sorted = (values: Set<number>) => [...values].sort((a, b) => a - b);
+
+// A UTC timestamp; March 2026 starts on a Sunday
+const at = (iso: string) => new Date(`${iso}Z`);
+
+describe('parseCron', () => {
+  it('expands wildcards, ranges, steps and lists', () => {
+    const schedule = parseCron('*/15 0-4/2 1,15,31 6-8 *');
+
+    expect(sorted(schedule.minutes)).toEqual([0, 15, 30, 45]);
+    expect(sorted(schedule.hours)).toEqual([0, 2, 4]);
+    expect(sorted(schedule.daysOfMonth)).toEqual([1, 15, 31]);
+    expect(sorted(schedule.months)).toEqual([6, 7, 8]);
+    expect(schedule.daysOfWeek.size).toBe(7);
+  });
+
+  it('runs a step from a single start value to the end of the field', () => {
+    expect(sorted(parseCron('5/20 * * * *').minutes)).toEqual([5, 25, 45]);
+  });
+
+  it('combines list entries of different kinds', () => {
+    expect(sorted(parseCron('0,10-12,50/5 * * * *').minutes)).toEqual([0, 10, 11, 12, 50, 55]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    expect(sorted(parseCron('0 0 * * 5-7').daysOfWeek)).toEqual([0, 5, 6]);
+  });
+
+  it('records which day fields are restricted', () => {
+    expect(parseCron('0 0 * * *')).toMatchObject({ dayOfMonthRestricted: false, dayOfWeekRestricted: false });
+    expect(parseCron('0 0 1 * 1')).toMatchObject({ dayOfMonthRestricted: true, dayOfWeekRestricted: true });
+  });
+
+  it.each([
+    ['0 0 * *', 'must have 5 fields'],
+    ['0 0 * * * *', 'must have 5 fields'],
+    ['60 * * * *', 'Invalid minute "60"'],
+    ['* 24 * * *', 'Invalid hour "24"'],
+    ['* * 0 * *', 'Invalid day of month "0"'],
+    ['* * * 13 *', 'Invalid month "13"'],
+    ['* * * * 8', 'Invalid day of week "8"'],
+    ['*/0 * * * *', 'Invalid minute "0"'],
+    ['30-10 * * * *', 'Invalid minute range "30-10"'],
+    ['* * * JAN *', 'Invalid month "JAN"'],
+    ['* * * * MON', 'Invalid day of week "MON"'],
+    ['* * L * *', 'Invalid day of month "L"'],
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('matchesCron', () => {
+  it('matches the minute, hour and month in UTC', () => {
+    const schedule = parseCron('17 3 * 3 *');
+
+    expect(matchesCron(schedule, at('2026-03-02T03:17:59'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-02T03:18:00'))).toBe(false);
+    expect(matchesCron(schedule, at('2026-03-02T04:17:00'))).toBe(false);
+    expect(matchesCron(schedule, at('2026-04-02T03:17:00'))).toBe(false);
+  });
+
+  it('requires the day of month when only it is restricted', () => {
+    const schedule = parseCron('0 0 15 * *');
+
+    expect(matchesCron(schedule, at('2026-03-15T00:00'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-16T00:00'))).toBe(false);
+  });
+
+  it('requires the day of week when only it is restricted', () => {
+    // Mondays
+    const schedule = parseCron('0 0 * * 1');
+
+    expect(matchesCron(schedule, at('2026-03-02T00:00'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-03T00:00'))).toBe(false);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 1st of the month, and every Monday
+    const schedule = parseCron('0 0 1 * 1');
+
+    expect(matchesCron(schedule, at('2026-03-01T00:00'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-02T00:00'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-03T00:00'))).toBe(false);
+  });
+
+  it('treats a stepped day field as restricted', () => {
+    // Every other day of the month, or Sundays
+    const schedule = parseCron('0 0 */2 * 0');
+
+    expect(matchesCron(schedule, at('2026-03-03T00:00'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-08T00:00'))).toBe(true);
+    expect(matchesCron(schedule, at('2026-03-04T00:00'))).toBe(false);
+  });
+});
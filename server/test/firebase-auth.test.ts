@@ -0,0 +1,141 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { createServer, type Server } from 'http';
+import type { AddressInfo } from 'net';
+import { exportJWK, generateKeyPair, SignJWT, UnsecuredJWT, type JWK, type JWTPayload, type KeyLike } from 'jose';
+import { verifyFirebaseToken } from '../src/lib/firebase-auth';
+import { clearJWKSCache } from '../src/lib/jwks-cache';
+import { runWithEnv } from '../src/lib/env';
+import { AuthenticationError } from '../src/lib/errors';
+
+const PROJECT_ID = 'demo-test';
+const JWKS_PATH = '/www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+let server: Server;
+let emulatorHost: string;
+let privateKey: KeyLike;
+let otherPrivateKey: KeyLike;
+let jwks: { keys: JWK[] };
+
+// Serves the signing keys where the verifier looks for the emulator's JWKS
+beforeAll(async () => {
+  const pair = await generateKeyPair('RS256');
+  privateKey = pair.privateKey;
+  otherPrivateKey = (await generateKeyPair('RS256')).privateKey;
+  jwks = { keys: [{ ...(await exportJWK(pair.publicKey)), kid: 'test-key', alg: 'RS256', use: 'sig' }] };
+
+  server = createServer((req, res) => {
+    if (req.url !== JWKS_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=3600' });
+    res.end(JSON.stringify(jwks));
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  emulatorHost = `127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  clearJWKSCache();
+});
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const claims = (overrides: JWTPayload = {}): JWTPayload => ({
+  iss: `https://securetoken.google.com/${PROJECT_ID}`,
+  aud: PROJECT_ID,
+  sub: 'user-1',
+  iat: now() - 60,
+  auth_time: now() - 60,
+  exp: now() + 3600,
+  email: 'user-1@example.com',
+  email_verified: true,
+  firebase: { sign_in_provider: 'password', identities: { email: ['user-1@example.com'] } },
+  ...overrides,
+});
+
+const sign = (payload: JWTPayload, options: { key?: KeyLike; kid?: string } = {}) => {
+  return new SignJWT(payload)
+    .setProtectedHeader({ alg: 'RS256', kid: options.kid ?? 'test-key' })
+    .sign(options.key ?? privateKey);
+};
+
+const unsigned = (payload: JWTPayload) => new UnsecuredJWT(payload).encode();
+
+// Emulator mode: FIREBASE_AUTH_EMULATOR_HOST plus the demo- project opt-in
+const verifyInEmulatorMode = (token: string, env: Record<string, string> = {}) => runWithEnv(
+  { FIREBASE_PROJECT_ID: PROJECT_ID, FIREBASE_AUTH_EMULATOR_HOST: emulatorHost, ...env },
+  () => verifyFirebaseToken(token, PROJECT_ID)
+);
+
+describe('verifyFirebaseToken with signed tokens', () => {
+  it('accepts a token signed with a key from the JWKS endpoint', async () => {
+    const user = await verifyInEmulatorMode(await sign(claims()));
+
+    expect(user).toMatchObject({
+      id: 'user-1',
+      email: 'user-1@example.com',
+      email_verified: true,
+      sign_in_provider: 'password',
+      identities: { email: ['user-1@example.com'] },
+    });
+  });
+
+  it.each([
+    ['a wrong audience', claims({ aud: 'another-project' })],
+    ['a wrong issuer', claims({ iss: 'https://securetoken.google.com/another-project' })],
+    ['an expired token', claims({ iat: now() - 7200, auth_time: now() - 7200, exp: now() - 3600 })],
+    ['an iat in the future', claims({ iat: now() + 600 })],
+    ['an auth_time in the future', claims({ auth_time: now() + 600 })],
+    ['a missing auth_time', claims({ auth_time: undefined })],
+    ['an empty sub', claims({ sub: '' })],
+  ])('rejects %s', async (_, payload) => {
+    await expect(verifyInEmulatorMode(await sign(payload))).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  it('rejects a token signed with an unknown kid', async () => {
+    const token = await sign(claims(), { key: otherPrivateKey, kid: 'unknown-key' });
+
+    await expect(verifyInEmulatorMode(token)).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  it('rejects a token whose signature does not match its kid', async () => {
+    const token = await sign(claims(), { key: otherPrivateKey });
+
+    await expect(verifyInEmulatorMode(token)).rejects.toBeInstanceOf(AuthenticationError);
+  });
+});
+
+describe('verifyFirebaseToken with unsigned (alg none) tokens', () => {
+  it('accepts them in emulator mode, with the same claim checks', async () => {
+    const user = await verifyInEmulatorMode(unsigned(claims()));
+    expect(user.id).toBe('user-1');
+
+    const expired = unsigned(claims({ iat: now() - 7200, auth_time: now() - 7200, exp: now() - 3600 }));
+    await expect(verifyInEmulatorMode(expired)).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  it('rejects them without the emulator opt-in', async () => {
+    const token = unsigned(claims({ iss: 'https://securetoken.google.com/real-project', aud: 'real-project' }));
+    const verify = runWithEnv(
+      { FIREBASE_PROJECT_ID: 'real-project', FIREBASE_AUTH_EMULATOR_HOST: emulatorHost },
+      () => verifyFirebaseToken(token, 'real-project')
+    );
+
+    await expect(verify).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  it('rejects them without FIREBASE_AUTH_EMULATOR_HOST', async () => {
+    const verify = runWithEnv({ FIREBASE_PROJECT_ID: PROJECT_ID }, () => verifyFirebaseToken(unsigned(claims()), PROJECT_ID));
+
+    await expect(verify).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  it('rejects them with NODE_ENV=production', async () => {
+    await expect(verifyInEmulatorMode(unsigned(claims()), { NODE_ENV: 'production' })).rejects.toBeInstanceOf(AuthenticationError);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it, vi } from 'vitest';
+import app from '../src/api';
+import type { HealthResponse } from '../src/lib/health';
+import { log } from '../src/lib/logger';
+
+// Workers bindings with a setting getConfig() rejects; the KV stand-in keeps the JWKS store off
+// the Cache API, which Node.js doesn't have
+const invalidEnv = {
+  RUNTIME: 'cloudflare',
+  FIREBASE_PROJECT_ID: 'demo-test',
+  AUDIT_RETENTION_DAYS: '-1',
+  JWKS_CACHE: { get: async () => null, put: async () => {} },
+};
+
+describe('health routes', () => {
+  it('reports liveness whatever the configuration', async () => {
+    const res = await app.fetch(new Request('http://localhost/healthz'), invalidEnv);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('Content-Type')).toBe('application/health+json');
+    expect(await res.json()).toMatchObject({ status: 'pass' });
+  });
+
+  it('reports an invalid configuration as a failed readiness check, logging but not returning why', async () => {
+    const logError = vi.spyOn(log, 'error').mockImplementation(() => {});
+    const res = await app.fetch(new Request('http://localhost/readyz'), invalidEnv);
+
+    expect(res.status).toBe(503);
+    expect(res.headers.get('Content-Type')).toBe('application/health+json');
+    const health = await res.json() as HealthResponse;
+    expect(health.status).toBe('fail');
+    expect(health.checks?.['config:validity'][0].status).toBe('fail');
+    expect(health.checks?.['database:responseTime'][0].status).toBe('fail');
+    expect(JSON.stringify(health)).not.toContain('AUDIT_RETENTION_DAYS');
+
+    expect(logError).toHaveBeenCalledWith('Readiness check failed', {
+      check: 'config:validity',
+      error: expect.objectContaining({ message: expect.stringContaining('AUDIT_RETENTION_DAYS') }),
+    });
+    logError.mockRestore();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Throwaway Postgres databases for tests
+ *
+ * Set TEST_DATABASE_URL to a server the tests may create databases on, e.g. the database server
+ * `pnpm dev` starts. Each test file gets a fresh, migrated database that is dropped afterwards;
+ * without TEST_DATABASE_URL the database tests are skipped.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import postgres from 'postgres';
+import { createMigrationClient, loadMigrations, migrateUp } from '../../src/lib/migrations';
+import { clearConnectionCache, openDatabase, type Database } from '../../src/lib/db';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'drizzle');
+export const SCHEMA_DIR = path.join(__dirname, '..', '..', 'src', 'schema');
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+export type TestDatabase = {
+  url: string;
+  // Migration client (postgres-js) for raw SQL
+  sql: postgres.Sql;
+  // Drizzle database on a pool of its own, as the Node.js server uses
+  db: Database;
+  drop: () => Promise<void>;
+};
+
+/**
+ * Create an empty database, migrated to the latest version unless `migrate` is false
+ */
+export async function createTestDatabase(options: { migrate?: boolean } = {}): Promise<TestDatabase> {
+  if (!TEST_DATABASE_URL) {
+    throw new Error('TEST_DATABASE_URL is not set');
+  }
+
+  const name = `test_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const admin = postgres(TEST_DATABASE_URL, { max: 1, onnotice: () => {} });
+  await admin`CREATE DATABASE ${admin(name)}`;
+
+  const url = new URL(TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  const sql = createMigrationClient(url.toString());
+
+  if (options.migrate !== false) {
+    await migrateUp(sql, await loadMigrations(MIGRATIONS_DIR));
+  }
+
+  return {
+    url: url.toString(),
+    sql,
+    db: openDatabase(url.toString(), { perRequest: false, driver: 'postgres-js' }).db,
+    drop: async () => {
+      await sql.end();
+      await clearConnectionCache();
+      await admin`DROP DATABASE IF EXISTS ${admin(name)} WITH (FORCE)`;
+      await admin.end();
+    },
+  };
+}
@@ -0,0 +1,162 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { diffSchema, getMigrationStatus, loadMigrations, migrateDown, migrateUp } from '../src/lib/migrations';
+import { createTestDatabase, SCHEMA_DIR, TEST_DATABASE_URL, type TestDatabase } from './helpers/database';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'migrations-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const writeMigrations = async (files: Record<string, string>) => {
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(path.join(dir, name), content);
+  }
+};
+
+describe('loadMigrations', () => {
+  it('orders migrations by number and pairs them with their rollbacks', async () => {
+    await writeMigrations({
+      '0002_second.sql': 'SELECT 2;',
+      '0001_first.sql': 'SELECT 1;',
+      '0001_first.down.sql': 'SELECT -1;',
+      'README.md': 'not a migration',
+      'meta.json': '{}',
+    });
+
+    const migrations = await loadMigrations(dir);
+
+    expect(migrations.map((m) => m.id)).toEqual(['0001_first', '0002_second']);
+    expect(migrations[0]).toMatchObject({ name: 'first', upSql: 'SELECT 1;', downSql: 'SELECT -1;' });
+    expect(migrations[1].downSql).toBeNull();
+  });
+
+  it('checksums content regardless of line endings', async () => {
+    await writeMigrations({ '0001_a.sql': 'SELECT 1;\nSELECT 2;\n', '0002_b.sql': 'SELECT 1;\r\nSELECT 2;\r\n' });
+
+    const [a, b] = await loadMigrations(dir);
+
+    expect(a.checksum).toBe(b.checksum);
+  });
+
+  it('rejects two migrations with the same number', async () => {
+    await writeMigrations({ '0001_a.sql': 'SELECT 1;', '0001_b.sql': 'SELECT 2;' });
+
+    await expect(loadMigrations(dir)).rejects.toThrow('Duplicate migration number 0001');
+  });
+});
+
+describe.skipIf(!TEST_DATABASE_URL)('migrating a database', () => {
+  let database: TestDatabase;
+
+  beforeAll(async () => {
+    database = await createTestDatabase({ migrate: false });
+  });
+
+  afterAll(async () => {
+    await database?.drop();
+  });
+
+  it('applies, reports and rolls back migrations', async () => {
+    await writeMigrations({
+      '0001_widgets.sql': 'CREATE SCHEMA IF NOT EXISTS app; CREATE TABLE app.widgets (id serial PRIMARY KEY);',
+      '0001_widgets.down.sql': 'DROP TABLE app.widgets;',
+      '0002_gadgets.sql': 'CREATE TABLE app.gadgets (id serial PRIMARY KEY);',
+      '0002_gadgets.down.sql': 'DROP TABLE app.gadgets;',
+    });
+    const migrations = await loadMigrations(dir);
+
+    const { applied } = await migrateUp(database.sql, migrations);
+    expect(applied.map((m) => m.id)).toEqual(['0001_widgets', '0002_gadgets']);
+    expect((await migrateUp(database.sql, migrations)).applied).toEqual([]);
+
+    const rolledBack = await migrateDown(database.sql, migrations, { steps: 2 });
+    expect(rolledBack.map((m) => m.id)).toEqual(['0002_gadgets', '0001_widgets']);
+    const statuses = await getMigrationStatus(database.sql, migrations);
+    expect(statuses.every((s) => !s.applied)).toBe(true);
+  });
+
+  it('rolls a migration back once when two runners pick it at the same time', async () => {
+    await writeMigrations({
+      '0001_widgets.sql': 'CREATE SCHEMA IF NOT EXISTS app; CREATE TABLE app.widgets (id serial PRIMARY KEY);',
+      '0001_widgets.down.sql': 'DROP TABLE app.widgets;',
+    });
+    const migrations = await loadMigrations(dir);
+    await migrateUp(database.sql, migrations);
+
+    // Both read the ledger before either takes the lock
+    const [first, second] = await Promise.all([
+      migrateDown(database.sql, migrations),
+      migrateDown(database.sql, migrations),
+    ]);
+
+    expect([...first, ...second].map((m) => m.id)).toEqual(['0001_widgets']);
+    expect((await getMigrationStatus(database.sql, migrations))[0].applied).toBe(false);
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    await writeMigrations({
+      '0001_widgets.sql': 'CREATE SCHEMA IF NOT EXISTS app; CREATE TABLE app.widgets (id serial PRIMARY KEY);',
+      '0001_widgets.down.sql': 'DROP TABLE app.widgets;',
+    });
+    await migrateUp(database.sql, await loadMigrations(dir));
+
+    await writeMigrations({
+      '0001_widgets.sql': 'CREATE SCHEMA IF NOT EXISTS app; CREATE TABLE app.widgets (id bigserial PRIMARY KEY);',
+      '0002_gadgets.sql': 'CREATE TABLE app.gadgets (id serial PRIMARY KEY);',
+    });
+    const edited = await loadMigrations(dir);
+
+    const [status] = await getMigrationStatus(database.sql, edited);
+    expect(status).toMatchObject({ id: '0001_widgets', applied: true, checksumMismatch: true });
+    await expect(migrateUp(database.sql, edited)).rejects.toThrow('Applied migrations were modified after being run: 0001_widgets');
+
+    await migrateDown(database.sql, edited);
+  });
+});
+
+describe.skipIf(!TEST_DATABASE_URL)('diffSchema', () => {
+  let database: TestDatabase;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database?.drop();
+  });
+
+  it('finds no drift after every migration is applied', async () => {
+    expect(await diffSchema(database.sql, SCHEMA_DIR)).toEqual([]);
+  });
+
+  it('reports tables and columns that differ from src/schema', async () => {
+    await database.sql.unsafe(`
+      ALTER TABLE app.audit_events DROP COLUMN metadata;
+      ALTER TABLE app.audit_events ADD COLUMN note text;
+      ALTER TABLE app.audit_events ALTER COLUMN ip SET NOT NULL;
+      ALTER TABLE app.job_locks ALTER COLUMN run_id TYPE bigint;
+      DROP TABLE app.rate_limits;
+      CREATE TABLE app.leftovers (id integer);
+    `);
+
+    const drift = await diffSchema(database.sql, SCHEMA_DIR);
+
+    expect(drift).toEqual(expect.arrayContaining([
+      { kind: 'missing_column', table: 'app.audit_events', column: 'metadata', expected: 'jsonb' },
+      { kind: 'extra_column', table: 'app.audit_events', column: 'note' },
+      { kind: 'nullability_mismatch', table: 'app.audit_events', column: 'ip', expected: 'NULL', actual: 'NOT NULL' },
+      { kind: 'type_mismatch', table: 'app.job_locks', column: 'run_id', expected: 'integer', actual: 'bigint' },
+      { kind: 'missing_table', table: 'app.rate_limits' },
+      { kind: 'extra_table', table: 'app.leftovers' },
+    ]));
+    expect(drift).toHaveLength(6);
+  });
+});
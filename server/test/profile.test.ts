@@ -0,0 +1,84 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { eq } from 'drizzle-orm';
+import { UnsecuredJWT } from 'jose';
+import app from '../src/api';
+import { clearUserCache } from '../src/lib/user-cache';
+import { users } from '../src/schema/users';
+import { createTestDatabase, TEST_DATABASE_URL, type TestDatabase } from './helpers/database';
+
+const PROJECT_ID = 'demo-test';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Emulator token for user-1, whose Firebase profile has a name and a photo
+const token = () => new UnsecuredJWT({
+  iss: `https://securetoken.google.com/${PROJECT_ID}`,
+  aud: PROJECT_ID,
+  sub: 'user-1',
+  iat: now() - 60,
+  auth_time: now() - 60,
+  exp: now() + 3600,
+  email: 'user-1@example.com',
+  email_verified: true,
+  name: 'Firebase Name',
+  picture: 'https://example.com/firebase.png',
+  firebase: { sign_in_provider: 'password', identities: { email: ['user-1@example.com'] } },
+}).encode();
+
+describe.skipIf(!TEST_DATABASE_URL)('PATCH /me', () => {
+  let database: TestDatabase;
+  // Workers bindings: the database comes from HYPERDRIVE, emulator tokens are accepted
+  let env: Record<string, unknown>;
+  const executionCtx = { waitUntil: () => {}, passThroughOnException: () => {} };
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+    env = {
+      RUNTIME: 'cloudflare',
+      FIREBASE_PROJECT_ID: PROJECT_ID,
+      FIREBASE_AUTH_EMULATOR_HOST: 'localhost:5503',
+      RATE_LIMIT_STORE: 'memory',
+      HYPERDRIVE: { connectionString: database.url },
+      JWKS_CACHE: { get: async () => null, put: async () => {} },
+    };
+  });
+
+  afterAll(async () => {
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.sql`TRUNCATE app.users CASCADE`;
+    clearUserCache();
+  });
+
+  const patchMe = (body: Record<string, unknown>) => app.fetch(new Request('http://localhost/api/v1/protected/me', {
+    method: 'PATCH',
+    headers: { 'Authorization': `Bearer ${token()}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }), env, executionCtx);
+
+  const storedUser = async () => {
+    const [user] = await database.db.select().from(users).where(eq(users.id, 'user-1'));
+    return user;
+  };
+
+  it('takes ownership of the changed field only', async () => {
+    const res = await patchMe({ display_name: 'Chosen Name' });
+
+    expect(res.status).toBe(200);
+    expect(await storedUser()).toMatchObject({
+      display_name: 'Chosen Name',
+      display_name_source: 'user',
+      photo_url: 'https://example.com/firebase.png',
+      photo_url_source: 'firebase',
+    });
+  });
+
+  it('leaves a field with Firebase when it is saved with its stored value', async () => {
+    const res = await patchMe({ display_name: 'Chosen Name', photo_url: 'https://example.com/firebase.png' });
+
+    expect(res.status).toBe(200);
+    expect(await storedUser()).toMatchObject({ display_name_source: 'user', photo_url_source: 'firebase' });
+  });
+});
@@ -0,0 +1,230 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi, type Mock } from 'vitest';
+import { eq } from 'drizzle-orm';
+import {
+  createPostgresQueue,
+  processQueuedJobs,
+  retryDelaySeconds,
+  takeRetryDelayMs,
+  type JobQueue,
+  type QueueJobPayload,
+} from '../src/lib/queue';
+import { runWithEnv } from '../src/lib/env';
+import { queuedJobs } from '../src/schema/queue';
+import { createTestDatabase, TEST_DATABASE_URL, type TestDatabase } from './helpers/database';
+
+describe('retryDelaySeconds', () => {
+  it('doubles from 10 seconds with up to half of it as jitter', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(retryDelaySeconds(1)).toBeGreaterThanOrEqual(5);
+      expect(retryDelaySeconds(1)).toBeLessThanOrEqual(10);
+      expect(retryDelaySeconds(4)).toBeGreaterThanOrEqual(40);
+      expect(retryDelaySeconds(4)).toBeLessThanOrEqual(80);
+    }
+  });
+
+  it('caps the delay at an hour', () => {
+    expect(retryDelaySeconds(30)).toBeGreaterThanOrEqual(1800);
+    expect(retryDelaySeconds(30)).toBeLessThanOrEqual(3600);
+  });
+});
+
+describe('takeRetryDelayMs', () => {
+  it('doubles the poll interval with each failed take, up to a minute', () => {
+    expect([1, 2, 3].map((failures) => takeRetryDelayMs(failures, 1000))).toEqual([2000, 4000, 8000]);
+    expect(takeRetryDelayMs(10, 1000)).toBe(60_000);
+  });
+
+  it('never polls faster than the poll interval', () => {
+    expect(takeRetryDelayMs(3, 120_000)).toBe(120_000);
+  });
+});
+
+const welcome = (userId: string): QueueJobPayload<'send-welcome'> => ({
+  user_id: userId,
+  email: `${userId}@example.com`,
+  display_name: null,
+});
+
+// Email set up for the send-welcome handler; fetch is stubbed per test
+const emailEnv = { FIREBASE_PROJECT_ID: 'demo-test', RESEND_API_KEY: 're_test', EMAIL_FROM: 'App <hello@example.com>' };
+
+describe.skipIf(!TEST_DATABASE_URL)('Postgres queue', () => {
+  let database: TestDatabase;
+  let queue: JobQueue;
+  let fetchMock: Mock<Parameters<typeof fetch>, Promise<Response>>;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+    queue = createPostgresQueue(database.db);
+  });
+
+  afterAll(async () => {
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.sql`TRUNCATE app.queued_jobs`;
+    fetchMock = vi.fn<Parameters<typeof fetch>, Promise<Response>>(async () => new Response('{"id":"email-1"}', { status: 200 }));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const runJobs = (limit = 10, env: Record<string, string> = emailEnv) => {
+    return runWithEnv(env, () => processQueuedJobs(database.db, limit));
+  };
+
+  const getJob = async (id: number) => {
+    const [job] = await database.db.select().from(queuedJobs).where(eq(queuedJobs.id, id));
+    return job;
+  };
+
+  const secondsUntilRun = async (id: number) => {
+    const [row] = await database.sql<{ seconds: number }[]>`
+      SELECT extract(epoch FROM run_at - now())::float AS seconds FROM app.queued_jobs WHERE id = ${id}
+    `;
+    return row.seconds;
+  };
+
+  describe('enqueue', () => {
+    it('enqueues a job once per idempotency key', async () => {
+      const first = await queue.enqueue('send-welcome', welcome('u1'), { idempotencyKey: 'u1' });
+      const second = await queue.enqueue('send-welcome', welcome('u1'), { idempotencyKey: 'u1' });
+      const other = await queue.enqueue('send-welcome', welcome('u2'), { idempotencyKey: 'u2' });
+
+      expect(first.duplicate).toBe(false);
+      expect(second).toEqual({ id: first.id, duplicate: true });
+      expect(other.duplicate).toBe(false);
+      expect(await database.db.select().from(queuedJobs)).toHaveLength(2);
+    });
+
+    it('enqueues jobs without a key every time', async () => {
+      await queue.enqueue('send-welcome', welcome('u1'));
+      await queue.enqueue('send-welcome', welcome('u1'));
+
+      expect(await database.db.select().from(queuedJobs)).toHaveLength(2);
+    });
+
+    it('rejects a payload that does not match the job schema', async () => {
+      const payload = { user_id: 'u1' } as unknown as QueueJobPayload<'send-welcome'>;
+
+      await expect(queue.enqueue('send-welcome', payload)).rejects.toThrow('Invalid payload for job "send-welcome"');
+    });
+  });
+
+  describe('processQueuedJobs', () => {
+    it('runs due jobs and sends the welcome email through Resend', async () => {
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'));
+
+      expect(await runJobs()).toBe(1);
+
+      expect(await getJob(id)).toMatchObject({ status: 'succeeded', attempts: 1, locked_until: null });
+      const [url, init] = fetchMock.mock.calls[0] as [string, RequestInit];
+      expect(url).toBe('https://api.resend.com/emails');
+      expect(init.headers).toMatchObject({ 'Authorization': 'Bearer re_test', 'Idempotency-Key': 'send-welcome/u1' });
+      expect(JSON.parse(String(init.body))).toMatchObject({ from: 'App <hello@example.com>', to: ['u1@example.com'] });
+    });
+
+    it('leaves jobs scheduled for later', async () => {
+      await queue.enqueue('send-welcome', welcome('u1'), { delaySeconds: 60 });
+
+      expect(await runJobs()).toBe(0);
+    });
+
+    it('skips jobs locked by another worker instead of waiting for them', async () => {
+      const locked = await queue.enqueue('send-welcome', welcome('u1'));
+      const free = await queue.enqueue('send-welcome', welcome('u2'));
+
+      // Another worker's transaction holds the first job
+      await database.sql.begin(async (tx) => {
+        await tx`SELECT id FROM app.queued_jobs WHERE id = ${locked.id} FOR UPDATE`;
+
+        expect(await runJobs()).toBe(1);
+      });
+
+      expect((await getJob(locked.id)).status).toBe('pending');
+      expect((await getJob(free.id)).status).toBe('succeeded');
+    });
+
+    it('claims each job for one worker only', async () => {
+      for (let i = 0; i < 6; i++) {
+        await queue.enqueue('send-welcome', welcome(`u${i}`));
+      }
+
+      const processed = await Promise.all([runJobs(6), runJobs(6), runJobs(6)]);
+
+      expect(processed.reduce((sum, n) => sum + n, 0)).toBe(6);
+      expect(fetchMock).toHaveBeenCalledTimes(6);
+    });
+
+    it('retries a failed job later with backoff', async () => {
+      fetchMock.mockImplementation(async () => new Response('Internal error', { status: 500 }));
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'));
+
+      await runJobs();
+
+      expect(await getJob(id)).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Resend answered 500: Internal error' });
+      const delay = await secondsUntilRun(id);
+      expect(delay).toBeGreaterThan(3);
+      expect(delay).toBeLessThanOrEqual(10);
+      expect(await runJobs()).toBe(0);
+    });
+
+    it('dead-letters a job that runs out of attempts', async () => {
+      fetchMock.mockImplementation(async () => new Response('Unavailable', { status: 503 }));
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'), { maxAttempts: 2 });
+
+      await runJobs();
+      await database.sql`UPDATE app.queued_jobs SET run_at = now() WHERE id = ${id}`;
+      await runJobs();
+
+      const job = await getJob(id);
+      expect(job).toMatchObject({ status: 'dead', attempts: 2, last_error: 'Resend answered 503: Unavailable' });
+      expect(job.finished_at).not.toBeNull();
+    });
+
+    it('dead-letters a job at once when the provider refuses the email', async () => {
+      fetchMock.mockImplementation(async () => new Response('Invalid `to` field', { status: 422 }));
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'));
+
+      await runJobs();
+
+      expect(await getJob(id)).toMatchObject({ status: 'dead', attempts: 1 });
+    });
+
+    it('dead-letters welcome emails when email is not configured', async () => {
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'));
+
+      await runJobs(10, { FIREBASE_PROJECT_ID: 'demo-test' });
+
+      expect(await getJob(id)).toMatchObject({ status: 'dead', last_error: 'Email is not configured (RESEND_API_KEY and EMAIL_FROM)' });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('runs a dead job again once it is retried', async () => {
+      fetchMock.mockImplementationOnce(async () => new Response('Invalid `to` field', { status: 422 }));
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'));
+      await runJobs();
+
+      expect(await queue.retry(await getJob(id))).toBe(true);
+      expect(await queue.retry(await getJob(id))).toBe(false);
+      await runJobs();
+
+      expect(await getJob(id)).toMatchObject({ status: 'succeeded', attempts: 1 });
+    });
+
+    it('runs a job again when its worker stopped mid-run', async () => {
+      const { id } = await queue.enqueue('send-welcome', welcome('u1'));
+      await database.sql`
+        UPDATE app.queued_jobs SET status = 'running', attempts = 1, locked_until = now() - interval '1 second'
+        WHERE id = ${id}
+      `;
+
+      await runJobs();
+
+      expect(await getJob(id)).toMatchObject({ status: 'succeeded', attempts: 2 });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { Hono } from 'hono';
+import { consume, createMemoryStore, type RateLimitStore } from '../src/lib/rate-limit';
+import { rateLimit } from '../src/middleware/rate-limit';
+import { runWithEnv } from '../src/lib/env';
+import { AppError } from '../src/lib/errors';
+
+const WINDOW_MS = 60_000;
+// Start of a window
+const T0 = 100 * WINDOW_MS;
+
+describe('consume with the memory store', () => {
+  let store: RateLimitStore;
+  const hit = (now: number, key = 'ip:1.2.3.4') => consume(store, key, { limit: 3, windowMs: WINDOW_MS, now });
+
+  const hitTimes = async (times: number, now: number) => {
+    for (let i = 0; i < times; i++) {
+      await hit(now);
+    }
+  };
+
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  it('allows hits up to the limit and blocks the next one', async () => {
+    expect(await hit(T0)).toEqual({ allowed: true, limit: 3, remaining: 2, resetSeconds: 60 });
+    expect((await hit(T0)).remaining).toBe(1);
+    expect(await hit(T0 + 30_000)).toEqual({ allowed: true, limit: 3, remaining: 0, resetSeconds: 30 });
+    expect((await hit(T0 + 30_000)).allowed).toBe(false);
+  });
+
+  it('counts keys separately', async () => {
+    await hitTimes(3, T0);
+
+    expect((await hit(T0, 'ip:5.6.7.8')).allowed).toBe(true);
+  });
+
+  it('weights the previous window by how much of it still overlaps', async () => {
+    await hitTimes(3, T0);
+
+    // Half way through the next window half of them count: 1.5 + 1
+    expect(await hit(T0 + WINDOW_MS * 1.5)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('forgets windows older than the previous one', async () => {
+    await hitTimes(3, T0);
+
+    expect(await hit(T0 + 2 * WINDOW_MS)).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  it('reports when a blocked client may retry within the window', async () => {
+    await hitTimes(4, T0);
+
+    // Right after the rollover all four previous hits still count. Blocked hits count too, so the
+    // next one fits once the previous window weighs 1: three quarters into this one
+    expect(await hit(T0 + WINDOW_MS)).toEqual({ allowed: false, limit: 3, remaining: 0, resetSeconds: 45 });
+    expect((await hit(T0 + WINDOW_MS + 45_000)).allowed).toBe(true);
+  });
+
+  it('reports a retry in the next window when this one is used up', async () => {
+    await hitTimes(3, T0);
+
+    // 4 hits counted: they must fade to 2 before one more fits, half way through the next window
+    expect(await hit(T0)).toMatchObject({ allowed: false, resetSeconds: 90 });
+  });
+
+  it('never reports less than a second', async () => {
+    expect((await hit(T0 + WINDOW_MS - 1)).resetSeconds).toBe(1);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  // Node.js request from `ip` with RATE_LIMIT_* settings
+  const createApp = (env: Record<string, string>) => {
+    const app = new Hono();
+    app.use('*', (c, next) => runWithEnv({ FIREBASE_PROJECT_ID: 'demo-test', ...env }, next));
+    app.use('*', rateLimit('ip'));
+    app.get('/', (c) => c.text('ok'));
+    app.onError((error, c) => c.text(error.message, error instanceof AppError ? error.status : 500));
+    return app;
+  };
+
+  const request = (app: Hono, ip: string) => {
+    return app.request('/', {}, { incoming: { socket: { remoteAddress: ip } } });
+  };
+
+  it('sets the RateLimit headers and Retry-After on 429s', async () => {
+    const app = createApp({ RATE_LIMIT_IP_MAX: '1', RATE_LIMIT_WINDOW: '60' });
+
+    const allowed = await request(app, '10.0.0.1');
+    expect(allowed.status).toBe(200);
+    expect(allowed.headers.get('RateLimit-Limit')).toBe('1');
+    expect(allowed.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(allowed.headers.get('RateLimit-Policy')).toBe('1;w=60');
+
+    const blocked = await request(app, '10.0.0.1');
+    expect(blocked.status).toBe(429);
+    expect(Number(blocked.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(blocked.headers.get('Retry-After')).toBe(blocked.headers.get('RateLimit-Reset'));
+  });
+
+  it('lets requests through when the store fails', async () => {
+    // No database on the context, so the postgres store throws
+    const app = createApp({ RATE_LIMIT_IP_MAX: '1', RATE_LIMIT_STORE: 'postgres' });
+
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app, '10.0.0.2');
+      expect(res.status).toBe(200);
+      expect(res.headers.get('RateLimit-Limit')).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.ts'],
+    // getConfig() requires a project ID; every other setting keeps its default
+    env: {
+      FIREBASE_PROJECT_ID: 'demo-test',
+    },
+    // Database tests create and migrate a database of their own
+    testTimeout: 30_000,
+    hookTimeout: 60_000,
+  },
+});
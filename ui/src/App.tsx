@@ -8,6 +8,8 @@ import { Home } from '@/pages/Home';
 import { Settings } from '@/pages/Settings';
 import { Page1 } from '@/pages/Page1';
 import { Page2 } from '@/pages/Page2';
+import { Admin } from '@/pages/Admin';
+import { RequireRole } from '@/components/require-role';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import {
   SidebarProvider,
@@ -68,6 +70,14 @@ function AppContent() {
                   <Route path="/page1" element={<Page1 />} />
                   <Route path="/page2" element={<Page2 />} />
                   <Route path="/settings" element={<Settings />} />
+                  <Route
+                    path="/admin"
+                    element={
+                      <RequireRole permission="roles:manage">
+                        <Admin />
+                      </RequireRole>
+                    }
+                  />
                 </Routes>
               </main>
             </SidebarInset>
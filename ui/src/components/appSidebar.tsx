@@ -3,6 +3,7 @@ import {
   Settings, 
   FileText,
   Layers,
+  Shield,
 } from "lucide-react";
 import { Link, useLocation } from "react-router-dom";
 import {
@@ -16,9 +17,11 @@ import {
   SidebarGroupLabel,
   SidebarGroupContent,
 } from "@/components/ui/sidebar";
+import { useAuth } from "@/lib/auth-context";
 
 export function AppSidebar() {
   const location = useLocation();
+  const { hasPermission } = useAuth();
 
   const isActive = (path: string) => location.pathname === path;
 
@@ -60,6 +63,16 @@ export function AppSidebar() {
 
       <SidebarFooter>
         <SidebarMenu>
+          {hasPermission('roles:manage') && (
+            <SidebarMenuItem>
+              <SidebarMenuButton tooltip="Admin" isActive={isActive('/admin')} asChild>
+                <Link to="/admin">
+                  <Shield className="w-4 h-4" />
+                  <span>Admin</span>
+                </Link>
+              </SidebarMenuButton>
+            </SidebarMenuItem>
+          )}
           <SidebarMenuItem>
             <SidebarMenuButton tooltip="Settings" isActive={isActive('/settings')} asChild>
               <Link to="/settings">
@@ -14,6 +14,7 @@ import {
   GoogleAuthProvider
 } from "firebase/auth"
 import { useAuth } from "@/lib/auth-context"
+import { api, getErrorMessage } from "@/lib/serverComm"
 import { Loader2, UserPlus, LogIn } from "lucide-react"
 
 const GoogleIcon = () => (
@@ -37,6 +38,24 @@ export function LoginForm() {
   const defaultTab = user?.isAnonymous ? "register" : "signin"
   const [activeTab, setActiveTab] = useState(defaultTab)
 
+  // Signing into an existing account replaces the anonymous user with a different uid, so the
+  // server moves the anonymous user's data over - proven with its token, taken before the switch
+  const signInAndLink = async (signIn: () => Promise<unknown>) => {
+    const currentUser = auth.currentUser;
+    const anonymousToken = currentUser?.isAnonymous ? await currentUser.getIdToken() : null;
+
+    await signIn();
+
+    if (anonymousToken) {
+      try {
+        await api.linkAnonymousAccount(anonymousToken);
+      } catch (linkErr) {
+        setError(`Signed in, but your guest data couldn't be moved: ${getErrorMessage(linkErr, 'unknown error')}`);
+        console.error('Account link error:', linkErr);
+      }
+    }
+  }
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     setError("")
@@ -47,7 +66,7 @@ export function LoginForm() {
       
       // First, always try to sign in with existing account
       try {
-        await signInWithEmailAndPassword(auth, email, password);
+        await signInAndLink(() => signInWithEmailAndPassword(auth, email, password));
         return; // Exit early if sign-in succeeds
       } catch (signInErr: any) {
         // If user doesn't exist, decide whether to create or upgrade
@@ -132,7 +151,7 @@ export function LoginForm() {
     setShowExistingAccountPrompt(false)
     
     try {
-      await signInWithPopup(auth, googleProvider);
+      await signInAndLink(() => signInWithPopup(auth, googleProvider));
     } catch (err: any) {
       setError("Failed to sign in with Google.");
       console.error('Google auth error:', err);
@@ -0,0 +1,32 @@
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '@/lib/auth-context';
+
+interface RequireRoleProps {
+  children: React.ReactNode;
+  /** Any one of these roles grants access */
+  roles?: string[];
+  /** This permission is required (wildcards like 'users:*' are honoured) */
+  permission?: string;
+  /** Rendered instead of redirecting to home when access is denied */
+  fallback?: React.ReactNode;
+}
+
+/**
+ * Route guard for role-protected pages. The server enforces the same rules,
+ * so this only hides UI the user could not use anyway.
+ */
+export function RequireRole({ children, roles, permission, fallback }: RequireRoleProps) {
+  const { hasRole, hasPermission, profileLoading } = useAuth();
+
+  if (profileLoading) {
+    return null;
+  }
+
+  const allowed = (!roles || hasRole(...roles)) && (!permission || hasPermission(permission));
+
+  if (!allowed) {
+    return fallback !== undefined ? <>{fallback}</> : <Navigate to="/" replace />;
+  }
+
+  return <>{children}</>;
+}
@@ -3,20 +3,11 @@ import type { User } from 'firebase/auth'
 import { onAuthStateChanged, signInAnonymously } from 'firebase/auth'
 import { auth } from './firebase'
 import { getCurrentUser } from './serverComm'
+import type { UserProfile } from './serverComm'
 
 // Constants
 const LOGOUT_RESET_DELAY_MS = 1000;
 
-// User profile from our backend
-interface UserProfile {
-  id: string
-  email: string | null
-  display_name: string | null
-  photo_url: string | null
-  created_at: string
-  updated_at: string
-}
-
 type AuthContextType = {
   user: User | null
   userProfile: UserProfile | null
@@ -24,6 +15,11 @@ type AuthContextType = {
   profileLoading: boolean
   logout: () => void
   forceRefresh: () => void
+  refreshUserProfile: (profile?: UserProfile) => Promise<void>
+  roles: string[]
+  permissions: string[]
+  hasRole: (...roles: string[]) => boolean
+  hasPermission: (permission: string) => boolean
 }
 
 const AuthContext = createContext<AuthContextType>({ 
@@ -32,12 +28,28 @@ const AuthContext = createContext<AuthContextType>({
   loading: true,
   profileLoading: true,
   logout: () => {},
-  forceRefresh: () => {}
+  forceRefresh: () => {},
+  refreshUserProfile: async () => {},
+  roles: [],
+  permissions: [],
+  hasRole: () => false,
+  hasPermission: () => false
 })
 
+// Mirrors the server's wildcard rules: '*' grants everything, 'resource:*' a whole resource
+function permissionGranted(granted: string[], required: string): boolean {
+  if (granted.includes('*') || granted.includes(required)) {
+    return true
+  }
+  const [resource] = required.split(':')
+  return granted.includes(`${resource}:*`)
+}
+
 export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null)
   const [userProfile, setUserProfile] = useState<UserProfile | null>(null)
+  const [roles, setRoles] = useState<string[]>([])
+  const [permissions, setPermissions] = useState<string[]>([])
   const [loading, setLoading] = useState(true)
   const [profileLoading, setProfileLoading] = useState(true)
   const [isLoggedOut, setIsLoggedOut] = useState(false)
@@ -73,6 +85,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
                 console.error('Failed to create anonymous user:', error);
                 if (isActive) {
                   setUserProfile(null);
+                  setRoles([]);
+                  setPermissions([]);
                   setProfileLoading(false);
                 }
               }
@@ -80,6 +94,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
               // Anonymous users not allowed or user logged out
               if (isActive) {
                 setUserProfile(null);
+                setRoles([]);
+                setPermissions([]);
                 setProfileLoading(false);
               }
               
@@ -103,6 +119,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
               fetchUserProfile();
             } else if (isActive) {
               setUserProfile(null);
+              setRoles([]);
+              setPermissions([]);
               setProfileLoading(false);
             }
           }
@@ -149,6 +167,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       setProfileLoading(true)
       const response = await getCurrentUser()
       setUserProfile(response.user)
+      setRoles(response.roles)
+      setPermissions(response.permissions)
     } catch (error) {
       // Only log profile fetch errors if they're not authentication errors
       // (which can happen during logout when old listeners are still active)
@@ -156,11 +176,34 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         console.error('Failed to fetch user profile:', error)
       }
       setUserProfile(null)
+      setRoles([])
+      setPermissions([])
     } finally {
       setProfileLoading(false)
     }
   }, [])  // Empty dependencies since it only uses setState functions
 
+  // Update the profile after a server-side change without showing the loading state.
+  // Pass the profile returned by the server to skip the extra round trip.
+  const refreshUserProfile = useCallback(async (profile?: UserProfile) => {
+    if (profile) {
+      setUserProfile(profile)
+      return
+    }
+    const response = await getCurrentUser()
+    setUserProfile(response.user)
+    setRoles(response.roles)
+    setPermissions(response.permissions)
+  }, [])
+
+  const hasRole = useCallback((...required: string[]) => {
+    return required.some(role => roles.includes(role))
+  }, [roles])
+
+  const hasPermission = useCallback((permission: string) => {
+    return permissionGranted(permissions, permission)
+  }, [permissions])
+
   return (
     <AuthContext.Provider value={{ 
       user, 
@@ -168,7 +211,12 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       loading, 
       profileLoading,
       logout,
-      forceRefresh
+      forceRefresh,
+      refreshUserProfile,
+      roles,
+      permissions,
+      hasRole,
+      hasPermission
     }}>
       {children}
     </AuthContext.Provider>
@@ -1,24 +1,50 @@
 import { getAuth } from 'firebase/auth';
+import { hc, type ClientResponse, type InferRequestType, type InferResponseType } from 'hono/client';
+import type { AppType } from '../../../server/src/api';
+import type { FieldErrors, ProblemDetails } from '../../../server/src/lib/problem';
 import { app } from './firebase';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8787';
+// Empty when the API serves this UI itself (`pnpm build:same-origin`)
+const API_BASE_URL = import.meta.env.VITE_API_URL || window.location.origin;
 
-// Functional error type instead of class
-interface APIError extends Error {
+// Functional error type instead of class - built from the server's problem+json responses
+export interface APIError extends Error {
   status: number;
-  code?: string;
-  user_id?: string;
+  type: string;
+  title: string;
+  detail?: string;
+  // Field path -> messages, for showing next to form inputs
+  fieldErrors: FieldErrors;
+  // X-Request-Id of the failed request - quote it to support to find the server logs
+  requestId?: string;
 }
 
-function createAPIError(status: number, message: string, code?: string, user_id?: string): APIError {
-  const error = new Error(message) as APIError;
+function createAPIError(status: number, problem: Partial<ProblemDetails>, requestId?: string): APIError {
+  const error = new Error(problem.detail || problem.title || `API request failed with status ${status}`) as APIError;
   error.name = 'APIError';
   error.status = status;
-  error.code = code;
-  error.user_id = user_id;
+  error.type = problem.type ?? 'about:blank';
+  error.title = problem.title ?? 'Error';
+  error.detail = problem.detail;
+  error.fieldErrors = problem.errors ?? {};
+  error.requestId = problem.request_id ?? requestId;
   return error;
 }
 
+export function isAPIError(error: unknown): error is APIError {
+  return error instanceof Error && error.name === 'APIError';
+}
+
+/**
+ * Message to show the user, with the request ID when there is one
+ */
+export function getErrorMessage(error: unknown, fallback: string): string {
+  if (isAPIError(error) && error.requestId) {
+    return `${error.message} (request ID: ${error.requestId})`;
+  }
+  return error instanceof Error ? error.message : fallback;
+}
+
 async function getAuthToken(): Promise<string | null> {
   const auth = getAuth(app);
   const user = auth.currentUser;
@@ -29,64 +55,105 @@ async function getAuthToken(): Promise<string | null> {
 }
 
 async function fetchWithAuth(
-  endpoint: string,
+  input: string | URL | Request,
   options: RequestInit = {}
 ): Promise<Response> {
   const token = await getAuthToken();
   const headers = new Headers(options.headers);
-  
+
   if (token) {
     headers.set('Authorization', `Bearer ${token}`);
   }
 
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+  // The server logs under this ID and echoes it back, so errors can be traced end to end.
+  // randomUUID only exists in secure contexts; without it the server generates the ID.
+  const requestId = crypto.randomUUID?.();
+  if (requestId) {
+    headers.set('X-Request-Id', requestId);
+  }
+
+  // Relative endpoints ('/api/v1/...') are resolved against the API server
+  const url = typeof input === 'string' && input.startsWith('/') ? `${API_BASE_URL}${input}` : input;
+
+  const response = await fetch(url, {
     ...options,
     headers,
   });
 
   if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ error: response.statusText }));
-    
-    throw createAPIError(
-      response.status,
-      errorData.error || errorData.message || `API request failed: ${response.statusText}`,
-      errorData.code,
-      errorData.user_id
-    );
+    // Every server error is problem+json; anything else (e.g. a proxy error page) only has a status
+    const problem: Partial<ProblemDetails> = await response.json().catch(() => ({ title: response.statusText }));
+    throw createAPIError(response.status, problem, response.headers.get('X-Request-Id') ?? requestId);
   }
 
   return response;
 }
 
+// Typed client generated from the server's routes - every request goes through fetchWithAuth
+const client = hc<AppType>(API_BASE_URL, { fetch: fetchWithAuth });
+
+// fetchWithAuth throws for error statuses, so only 2xx bodies ever reach the caller
+type SuccessBody<R> = R extends ClientResponse<infer T, infer S, 'json'>
+  ? S extends 200 | 201 ? T : never
+  : never;
+
+async function readJson<R extends ClientResponse<unknown>>(request: Promise<R>): Promise<SuccessBody<R>> {
+  const response = await request;
+  return response.json() as Promise<SuccessBody<R>>;
+}
+
+const me = client.api.v1.protected.me;
+const userRoles = client.api.v1.protected.admin.users[':id'].roles;
+
+// Types derived from the server routes
+export type UserProfile = InferResponseType<typeof me.$get, 200>['user'];
+export type ProfileUpdate = InferRequestType<typeof me.$patch>['json'];
+export type UserRole = InferResponseType<typeof userRoles.$get, 200>['roles'][number];
+
 // API endpoints
-export async function getCurrentUser(): Promise<{
-  user: {
-    id: string;
-    email: string | null;
-    display_name: string | null;
-    photo_url: string | null;
-    created_at: string;
-    updated_at: string;
-  };
-  message: string;
-}> {
-  const response = await fetchWithAuth('/api/v1/protected/me');
-  return response.json();
+export async function getCurrentUser() {
+  return readJson(me.$get());
+}
+
+export async function updateCurrentUser(data: ProfileUpdate) {
+  return readJson(me.$patch({ json: data }));
+}
+
+export async function deleteCurrentUser() {
+  return readJson(me.$delete());
+}
+
+// Move the data of the anonymous user `anonymousToken` belongs to into the signed-in account
+export async function linkAnonymousAccount(anonymousToken: string) {
+  return readJson(client.api.v1.protected.link.$post({ json: { anonymous_token: anonymousToken } }));
+}
+
+// Admin endpoints - require the roles:manage permission
+export async function getUserRoles(userId: string) {
+  return readJson(userRoles.$get({ param: { id: userId } }));
+}
+
+export async function grantRole(userId: string, role: string) {
+  return readJson(userRoles.$post({ param: { id: userId }, json: { role } }));
+}
+
+export async function revokeRole(userId: string, role: string) {
+  return readJson(userRoles[':role'].$delete({ param: { id: userId, role } }));
 }
 
-// Example of how to add more API endpoints:
+// Example of how to add more API endpoints - chain the route on the server and its
+// request and response types show up here:
 // export async function createChat(data: CreateChatData) {
-//   const response = await fetchWithAuth('/api/v1/protected/chats', {
-//     method: 'POST',
-//     headers: {
-//       'Content-Type': 'application/json',
-//     },
-//     body: JSON.stringify(data),
-//   });
-//   return response.json();
+//   return readJson(client.api.v1.protected.chats.$post({ json: data }));
 // }
 
 export const api = {
   getCurrentUser,
+  updateCurrentUser,
+  deleteCurrentUser,
+  linkAnonymousAccount,
+  getUserRoles,
+  grantRole,
+  revokeRole,
   // Add other API endpoints here
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { api, getErrorMessage } from '@/lib/serverComm';
+import type { UserRole } from '@/lib/serverComm';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Loader2, Shield } from 'lucide-react';
+
+// Keep in sync with ROLE_PERMISSIONS in server/src/lib/roles.ts
+const AVAILABLE_ROLES = ['admin', 'moderator'];
+
+export function Admin() {
+  const [userId, setUserId] = useState('');
+  const [role, setRole] = useState(AVAILABLE_ROLES[0]);
+  const [roles, setRoles] = useState<UserRole[] | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (action: () => Promise<unknown>) => {
+    const id = userId.trim();
+    if (!id) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+      await action();
+      const response = await api.getUserRoles(id);
+      setRoles(response.roles);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Request failed'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-6 max-w-4xl">
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold">Admin</h1>
+          <p className="text-muted-foreground">
+            Grant and revoke in-app roles. Roles set as Firebase custom claims are managed in Firebase.
+          </p>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Shield className="w-5 h-5" />
+              User Roles
+            </CardTitle>
+            <CardDescription>
+              Look up a user by their Firebase UID.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="userId">User ID</Label>
+                <Input
+                  id="userId"
+                  value={userId}
+                  onChange={(e) => setUserId(e.target.value)}
+                  placeholder="Firebase UID"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="role">Role</Label>
+                <select
+                  id="role"
+                  value={role}
+                  onChange={(e) => setRole(e.target.value)}
+                  className="border-input h-9 w-full rounded-md border bg-transparent px-3 text-sm shadow-xs"
+                >
+                  {AVAILABLE_ROLES.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" disabled={isLoading} onClick={() => run(async () => {})}>
+                {isLoading && <Loader2 className="w-4 h-4 animate-spin" />}
+                Look Up
+              </Button>
+              <Button disabled={isLoading} onClick={() => run(() => api.grantRole(userId.trim(), role))}>
+                Grant Role
+              </Button>
+              <Button variant="destructive" disabled={isLoading} onClick={() => run(() => api.revokeRole(userId.trim(), role))}>
+                Revoke Role
+              </Button>
+            </div>
+
+            {error && <p className="text-sm text-destructive">{error}</p>}
+
+            {roles && (
+              roles.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No in-app roles granted.</p>
+              ) : (
+                <ul className="text-sm space-y-1">
+                  {roles.map((granted) => (
+                    <li key={granted.role}>
+                      <span className="font-medium">{granted.role}</span>
+                      <span className="text-muted-foreground">
+                        {' '}granted {new Date(granted.granted_at).toLocaleString()}
+                        {granted.granted_by && ` by ${granted.granted_by}`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -1,22 +1,109 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { deleteUser, signOut } from 'firebase/auth';
 import { useAuth } from '@/lib/auth-context';
+import { auth } from '@/lib/firebase';
+import { api, getErrorMessage, isAPIError } from '@/lib/serverComm';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Separator } from '@/components/ui/separator';
-import { User } from 'lucide-react';
+import { Loader2, Trash2, User } from 'lucide-react';
+
+function FieldError({ messages }: { messages?: string[] }) {
+  if (!messages?.length) {
+    return null;
+  }
+  return <p className="text-sm text-destructive">{messages.join(' ')}</p>;
+}
 
 export function Settings() {
-  const { user } = useAuth();
+  const { user, userProfile, logout, refreshUserProfile } = useAuth();
   const [profile, setProfile] = useState({
-    displayName: user?.displayName || '',
-    email: user?.email || '',
+    displayName: userProfile?.display_name ?? user?.displayName ?? '',
+    photoUrl: userProfile?.photo_url ?? user?.photoURL ?? '',
   });
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [status, setStatus] = useState<{ type: 'success' | 'error'; message: string } | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string[]>>({});
+
+  // Sync the form once the server profile arrives or changes
+  useEffect(() => {
+    if (userProfile) {
+      setProfile({
+        displayName: userProfile.display_name ?? '',
+        photoUrl: userProfile.photo_url ?? '',
+      });
+    }
+  }, [userProfile]);
+
+  const handleSave = async () => {
+    // Only the fields that changed: the server takes over each field it is sent from Firebase
+    const displayName = profile.displayName.trim() || null;
+    const photoUrl = profile.photoUrl.trim() || null;
+    const changes = {
+      ...(!userProfile || displayName !== userProfile.display_name ? { display_name: displayName } : {}),
+      ...(!userProfile || photoUrl !== userProfile.photo_url ? { photo_url: photoUrl } : {}),
+    };
+    if (Object.keys(changes).length === 0) {
+      setStatus({ type: 'success', message: 'No changes to save.' });
+      return;
+    }
 
-  const handleSave = () => {
-    // TODO: Implement save functionality
-    console.log('Saving settings...', { profile });
+    setIsSaving(true);
+    setStatus(null);
+    setFieldErrors({});
+
+    try {
+      const response = await api.updateCurrentUser(changes);
+      await refreshUserProfile(response.user);
+      setStatus({ type: 'success', message: 'Profile saved.' });
+    } catch (error) {
+      console.error('Failed to save profile:', error);
+      if (isAPIError(error)) {
+        setFieldErrors(error.fieldErrors);
+      }
+      setStatus({
+        type: 'error',
+        message: getErrorMessage(error, 'Failed to save profile.'),
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteAccount = async () => {
+    if (!window.confirm('Delete your account and all of its data? This cannot be undone.')) {
+      return;
+    }
+
+    setIsDeleting(true);
+    setStatus(null);
+
+    try {
+      await api.deleteCurrentUser();
+
+      // Remove the Firebase account too. Firebase requires a recent sign-in for this,
+      // so fall back to signing out - the server-side data is already gone.
+      const currentUser = auth.currentUser;
+      logout();
+      if (currentUser) {
+        try {
+          await deleteUser(currentUser);
+        } catch (error) {
+          console.warn('Could not delete Firebase account, signing out instead:', error);
+          await signOut(auth);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to delete account:', error);
+      setStatus({
+        type: 'error',
+        message: getErrorMessage(error, 'Failed to delete account.'),
+      });
+      setIsDeleting(false);
+    }
   };
 
   return (
@@ -51,29 +138,75 @@ export function Settings() {
                   value={profile.displayName}
                   onChange={(e) => setProfile({ ...profile, displayName: e.target.value })}
                   placeholder="Enter your display name"
+                  maxLength={100}
+                  aria-invalid={!!fieldErrors.display_name}
                 />
+                <FieldError messages={fieldErrors.display_name} />
               </div>
               <div className="space-y-2">
                 <Label htmlFor="email">Email</Label>
                 <Input
                   id="email"
                   type="email"
-                  value={profile.email}
-                  onChange={(e) => setProfile({ ...profile, email: e.target.value })}
-                  placeholder="Enter your email"
+                  value={userProfile?.email ?? user?.email ?? ''}
+                  placeholder="No email on this account"
+                  disabled
+                />
+              </div>
+              <div className="space-y-2 md:col-span-2">
+                <Label htmlFor="photoUrl">Photo URL</Label>
+                <Input
+                  id="photoUrl"
+                  type="url"
+                  value={profile.photoUrl}
+                  onChange={(e) => setProfile({ ...profile, photoUrl: e.target.value })}
+                  placeholder="https://example.com/avatar.png"
+                  aria-invalid={!!fieldErrors.photo_url}
                 />
+                <FieldError messages={fieldErrors.photo_url} />
               </div>
             </div>
           </CardContent>
         </Card>
 
+        {status && (
+          <p className={status.type === 'error' ? 'text-sm text-destructive' : 'text-sm text-muted-foreground'}>
+            {status.message}
+          </p>
+        )}
+
         {/* Save Button */}
         <div className="flex justify-end">
-          <Button onClick={handleSave} className="w-full md:w-auto">
+          <Button onClick={handleSave} disabled={isSaving || isDeleting} className="w-full md:w-auto">
+            {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
             Save Changes
           </Button>
         </div>
+
+        {/* Danger Zone */}
+        <Card className="border-destructive/50">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-destructive">
+              <Trash2 className="w-5 h-5" />
+              Delete Account
+            </CardTitle>
+            <CardDescription>
+              Permanently remove your account and all data associated with it.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Button
+              variant="destructive"
+              onClick={handleDeleteAccount}
+              disabled={isSaving || isDeleting}
+              className="w-full md:w-auto"
+            >
+              {isDeleting && <Loader2 className="w-4 h-4 animate-spin" />}
+              Delete Account
+            </Button>
+          </CardContent>
+        </Card>
       </div>
     </div>
   );
-} 
\ No newline at end of file
+}
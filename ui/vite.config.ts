@@ -10,10 +10,13 @@ const parseCliArgs = () => {
   const apiUrlIndex = args.indexOf('--api-url');
   const firebaseAuthPortIndex = args.indexOf('--firebase-auth-port');
   const useFirebaseEmulatorIndex = args.indexOf('--use-firebase-emulator');
+  // Served by the API itself (SERVE_UI=true), so requests go to the page's own origin
+  const sameOrigin = args.includes('--mode') && args[args.indexOf('--mode') + 1] === 'same-origin';
   
   return {
     port: portIndex !== -1 ? parseInt(args[portIndex + 1]) : 5173,
-    apiUrl: apiUrlIndex !== -1 ? args[apiUrlIndex + 1] : 'http://localhost:5500',
+    // `pnpm run deploy` builds with VITE_API_URL set to the deployed Worker
+    apiUrl: sameOrigin ? '' : apiUrlIndex !== -1 ? args[apiUrlIndex + 1] : process.env.VITE_API_URL || 'http://localhost:5500',
     firebaseAuthPort: firebaseAuthPortIndex !== -1 ? args[firebaseAuthPortIndex + 1] : '5503',
     useFirebaseEmulator: useFirebaseEmulatorIndex !== -1 ? args[useFirebaseEmulatorIndex + 1] : 'false'
   };